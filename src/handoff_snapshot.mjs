@@ -6,27 +6,95 @@
  *   0 3  * * * node /app/handoff_snapshot.mjs apac
  *   0 10 * * * node /app/handoff_snapshot.mjs emea
  *   0 18 * * * node /app/handoff_snapshot.mjs us
+ *   (or one long-running `node /app/handoff_snapshot.mjs daemon`, which schedules these itself)
  *
  * Usage:
- *   node handoff_snapshot.mjs apac|emea|us
+ *   node handoff_snapshot.mjs <region> [--dry-run] [--out=<file>]
+ *                             [--record=<dir> | --replay=<dir>] [--now=<ISO>]
+ *                             # <region> is a slot name from config/regions.json (apac|emea|us shipped)
+ *   node handoff_snapshot.mjs weekly|monthly [--dry-run] [--out=<file>] [--now=<ISO>]
+ *                             # trend report from data/snapshots.jsonl (no Pylon calls)
+ *   node handoff_snapshot.mjs holidays [--days=90]
+ *                             # list upcoming holidays from config/holidays.json (stdout only)
+ *   node handoff_snapshot.mjs shift-leads [--weeks=8] [--region=<slot>]
+ *                             # computed shift-lead calendar from config/rosters.json (stdout only)
+ *   node handoff_snapshot.mjs serve [--port=3000] [--dry-run]
+ *                             # HTTP server for the Slack app (needs SLACK_SIGNING_SECRET):
+ *                             # POST /slack/commands      "/handoff <region|me> [public]"
+ *                             # POST /slack/interactions  "Take it" / "Ack" buttons on report lines
+ *                             # GET  /metrics             Prometheus metrics (also served by daemon)
+ *   node handoff_snapshot.mjs daemon [--port=3000] [--dry-run]
+ *                             # run every region at its shift end (config/regions.json), GET /healthz;
+ *                             # also serves the Slack endpoints when SLACK_SIGNING_SECRET is set
+ *
+ * Flags:
+ *   --dry-run       run every scan and render the message, but make zero Slack calls
+ *   --out=<file>    with --dry-run, write the rendered message + summary to <file> instead of stdout
+ *   --record=<dir>  save every Pylon request/response of this run as fixtures under <dir>
+ *                   (replaces any earlier recording there)
+ *   --replay=<dir>  serve Pylon responses from fixtures under <dir> instead of the network
+ *                   (implies --dry-run; pins "now" to the recorded run; PYLON_TOKEN not required)
+ *   --now=<ISO>     pin the clock used for shift windows and SLA math (e.g. 2026-05-04T10:00:00-07:00)
+ *   --days=<n>      holidays: how far ahead to list (default 90)
+ *   --weeks=<n>     shift-leads: how far ahead to list (default 8); --region=<slot> limits to one region
+ *   --port=<n>      serve / daemon: listen port (default HANDOFF_PORT or 3000)
  *
  * Env:
  *   PYLON_TOKEN
- *   SLACK_BOT_TOKEN
+ *   SLACK_BOT_TOKEN                       # not required with --dry-run
  *
  * Optional Env:
  *   SLACK_CHANNEL=#csorg-support-handoff  # override Slack channel (default: #support-automation-test)
- *   PYLON_MESSAGES_CONCURRENCY=1          # message API fetch concurrency (default 1, keep low)
- *   PYLON_MESSAGES_DELAY_MS=500           # delay between message API calls (default 500ms)
+ *   PYLON_RATE_LIMIT=5                    # Pylon requests per second, shared by all parallel scans (default 5)
+ *   PYLON_RATE_BURST=5                    # requests allowed back-to-back before pacing (default PYLON_RATE_LIMIT)
+ *   PYLON_TIMEOUT_MS=30000                # per-attempt Pylon request timeout (default 30s)
+ *   PYLON_MAX_ATTEMPTS=6                  # attempts per Pylon request on 429 / 502-504 / timeout (default 6)
+ *   PYLON_MESSAGES_CONCURRENCY=4          # max message API fetches in flight; halved on 429, regrown after (default 4)
+ *   PYLON_MESSAGES_DELAY_MS=0             # extra pause after each message API call (default 0; the limiter paces)
+ *   PYLON_MESSAGES_CACHE=0                # don't reuse data/message_status.json (default on; off under record/replay, read-only in dry-run)
+ *   DRY_RUN=1                             # same as --dry-run
+ *   DRY_RUN_OUT=/tmp/handoff.txt          # same as --out=<file>
+ *   PYLON_RECORD_DIR=fixtures/run1        # same as --record=<dir>
+ *   PYLON_REPLAY_DIR=fixtures/run1        # same as --replay=<dir>
+ *   HANDOFF_NOW=2026-05-04T10:00:00-07:00 # same as --now=<ISO>
+ *   PYLON_API_BASE=http://localhost:4010  # Pylon API base URL (default https://api.usepylon.com)
+ *   SLACK_API_BASE=http://localhost:4010/slack  # Slack Web API base URL (default https://slack.com/api)
+ *   SLACK_MESSAGE_FORMAT=blocks           # "blocks" (Block Kit + text fallback, default) or "text" (mrkdwn only)
+ *   SLACK_THREAD_DETAILS=1                # post line items as threaded replies, headline counts only up top (default 1)
+ *   HANDOFF_DATA_DIR=/var/lib/handoff     # snapshot history directory (default: <repo>/data)
+ *   SLACK_SIGNING_SECRET=...              # serve: verifies Slack request signatures (required there)
+ *   HANDOFF_PORT=3000                     # serve / daemon: same as --port=<n>
+ *   DAEMON_CATCH_UP_HOURS=6               # daemon: at start, run a slot missed at most this long ago (0 = never)
+ *   SLASH_RATE_LIMIT=3                    # serve: slash-command runs allowed per user per window (default 3)
+ *   SLASH_RATE_WINDOW_MINUTES=15          # serve: rate-limit window (default 15)
+ *   SLASH_RESPONSE_TYPE=ephemeral         # serve: "ephemeral" (default, only the requester) or "in_channel"
+ *   LOG_LEVEL=info                        # debug | info (default) | warn | error
+ *   LOG_FORMAT=json                       # "json" (one event per line) or "pretty"; default pretty on a terminal
+ *   METRICS_TEXTFILE_DIR=/var/lib/node_exporter/textfile_collector
+ *                                         # <region> runs: write Prometheus metrics to handoff_<region>.prom
  *
  * Config files:
- *   config/rosters.json  # shift rosters per region (edit without code changes)
+ *   config/regions.json  # shift regions: label, handoff-to, timezone, start/end (validated at startup)
+ *   config/rosters.json  # shift rosters per region: names or { id, email, name }, leave, dm_digest opt-ins
+ *   config/holidays.json # holiday calendars excluded from "biz"/"weekday" SLA clocks (optional)
+ *   config/slack.json    # Slack user overrides, which sections @mention assignees / get buttons (optional)
+ *   config/sla.json      # SLA matrix: tiers, display names, FRT hours, coverage, enterprise-like (validated at startup)
+ *
+ * Data files:
+ *   data/snapshots.jsonl # one line per run: counts + issue IDs per bucket (drives the "+N since <REGION>" deltas)
+ *   data/slack_users.json # users.lookupByEmail cache: email -> Slack user ID (or miss) + checkedAt
+ *   data/message_status.json # messages API cache: issue ID -> updated_at + latest public speaker/time
+ *   data/handoff_actions.jsonl # one line per "Take it" / "Ack" click (serve)
+ *   data/daemon_state.json # daemon: last due time, run time, outcome per slot (catch-up + /healthz)
+ *
+ * Local stand-in:
+ *   node mock_server.mjs  # fake Pylon + Slack on :4010 (see mock_server.mjs header)
  *
  * Notes:
  * - Uses Node's built-in fetch (Node 18+). No node-fetch dependency.
  * - Until you explicitly say ready for prod, posts to: #support-automation-test
  * - Team filter is enforced locally: only issues with team.id === L1+L2 are counted.
- * - Shift window (Pacific Time):
+ * - Shift windows come from config/regions.json; shipped (Pacific Time):
  *     US:   09:00 -> 18:00
  *     EMEA: 01:00 -> 10:00
  *     APAC: 18:00 -> 03:00 (cross-midnight)
@@ -44,20 +112,154 @@
  *     <#1234 link> | Assignee: Name | Handoff Region: EMEA/APAC/America | Handoff meeting required: Yes/No
  */
 
-import { DateTime } from "luxon";
-import { readFileSync } from "node:fs";
+import { DateTime, Interval } from "luxon";
+import { readFileSync, writeFileSync, appendFileSync, mkdirSync, readdirSync, existsSync, renameSync, rmSync } from "node:fs";
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createServer } from "node:http";
 import { resolve, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
 
+/** ----------------------------
+ *  CLI
+ *  ---------------------------- */
+
+/**
+ * Split argv into positionals and --flags.
+ *   --dry-run     -> flags["dry-run"] = true
+ *   --out=a.txt   -> flags.out = "a.txt"
+ */
+function parseCliArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  for (const arg of argv) {
+    if (arg.startsWith("--")) {
+      const eq = arg.indexOf("=");
+      if (eq === -1) flags[arg.slice(2)] = true;
+      else flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { positionals, flags };
+}
+
+function isTruthyEnv(value) {
+  return value != null && ["1", "true", "yes", "on"].includes(String(value).trim().toLowerCase());
+}
+
+const CLI = parseCliArgs(process.argv.slice(2));
+
+// Bad env values found while this module loads.  main() throws them, so they
+// go through its crash handler (log + Slack crash notice) like any other failure.
+const ENV_ERRORS = [];
+
+// Pylon fixtures: record every Pylon call of a run, or replay a recorded run offline.
+const PYLON_RECORD_DIR =
+  (typeof CLI.flags.record === "string" && CLI.flags.record) || process.env.PYLON_RECORD_DIR || null;
+const PYLON_REPLAY_DIR =
+  (typeof CLI.flags.replay === "string" && CLI.flags.replay) || process.env.PYLON_REPLAY_DIR || null;
+if (PYLON_RECORD_DIR && PYLON_REPLAY_DIR) {
+  ENV_ERRORS.push("--record and --replay are mutually exclusive");
+}
+
+// Dry-run: render the handoff and write it locally; never touches Slack.
+// Replay regenerates a past snapshot offline, so it always implies dry-run.
+const DRY_RUN = CLI.flags["dry-run"] === true || isTruthyEnv(process.env.DRY_RUN) || PYLON_REPLAY_DIR != null;
+const DRY_RUN_OUT =
+  (typeof CLI.flags.out === "string" && CLI.flags.out) || process.env.DRY_RUN_OUT || null;
+
+// Pinned clock. Replay defaults to the "now" captured when the fixtures were
+// recorded; main() fills that in (reading meta.json can fail).
+let pinnedNowIso = (typeof CLI.flags.now === "string" && CLI.flags.now) || process.env.HANDOFF_NOW || null;
+
+/** ----------------------------
+ *  LOGGING
+ *  ---------------------------- */
+
+/**
+ * One event per line: JSON for the journal, or LOG_FORMAT=pretty for local
+ * runs (the default on a terminal).  Events carry the context of the run
+ * that emitted them — run ID, slot, and scan inside a run — so the parallel
+ * scans can be pulled apart with e.g. `jq 'select(.scan == "C")'`:
+ *   {"ts":"…","level":"info","tag":"SCAN-B","msg":"page","runId":"3f9c1a2b","slot":"emea","scan":"B","page":1,"fetched":200}
+ * debug / info go to stdout, warn / error to stderr — except under --dry-run,
+ * where stdout carries the preview and every event goes to stderr.
+ */
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = (process.env.LOG_LEVEL || "info").trim().toLowerCase();
+if (!LOG_LEVELS[LOG_LEVEL]) {
+  ENV_ERRORS.push(`LOG_LEVEL must be one of ${Object.keys(LOG_LEVELS).join(", ")} (got "${LOG_LEVEL}")`);
+}
+const LOG_STDOUT = DRY_RUN ? process.stderr : process.stdout; // where debug / info events go
+const LOG_FORMAT = (process.env.LOG_FORMAT || (LOG_STDOUT.isTTY ? "pretty" : "json")).trim().toLowerCase();
+if (!["json", "pretty"].includes(LOG_FORMAT)) {
+  ENV_ERRORS.push(`LOG_FORMAT must be "json" or "pretty" (got "${LOG_FORMAT}")`);
+}
+
+const logContext = new AsyncLocalStorage();
+
+/** Run fn with `fields` added to every event logged inside it (and anything it awaits). */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+function newRunId() {
+  return randomBytes(4).toString("hex");
+}
+
+// Fields for a caught error; the stack only where it's worth the noise.
+function errorFields(err, { stack = false } = {}) {
+  return { error: err?.message ?? String(err), ...(stack && err?.stack ? { stack: err.stack } : {}) };
+}
+
+function formatPrettyLog({ ts, level, tag, msg, runId, slot, scan, ...fields }) {
+  const values = Object.entries(fields)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => `${k}=${typeof v === "string" && !/\s/.test(v) ? v : JSON.stringify(v)}`);
+  const context = [slot, scan && `scan ${scan}`, runId && `run ${runId}`].filter(Boolean).join(" ");
+  return [
+    `${ts.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${tag}] ${msg}`,
+    ...values,
+    context && `(${context})`,
+  ].filter(Boolean).join("  ");
+}
+
+function logEvent(level, tag, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const event = { ts: new Date().toISOString(), level, tag, msg, ...logContext.getStore(), ...fields };
+  const line = LOG_FORMAT === "json" ? JSON.stringify(event) : formatPrettyLog(event);
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : LOG_STDOUT).write(`${line}\n`);
+}
+
+const log = {
+  debug: (tag, msg, fields) => logEvent("debug", tag, msg, fields),
+  info: (tag, msg, fields) => logEvent("info", tag, msg, fields),
+  warn: (tag, msg, fields) => logEvent("warn", tag, msg, fields),
+  error: (tag, msg, fields) => logEvent("error", tag, msg, fields),
+};
+
 /** ----------------------------
  *  CONFIG
  *  ---------------------------- */
 
-const PYLON_API_BASE = "https://api.usepylon.com";
+// API base URLs: override via env to point at a local stand-in (see mock_server.mjs)
+const PYLON_API_BASE = (process.env.PYLON_API_BASE || "https://api.usepylon.com").replace(/\/+$/, "");
+const SLACK_API_BASE = (process.env.SLACK_API_BASE || "https://slack.com/api").replace(/\/+$/, "");
 
 // Slack channel: override via env for prod; defaults to test channel for safety
 const SLACK_CHANNEL = process.env.SLACK_CHANNEL || "#support-automation-test";
 
+// Message rendering: Block Kit with mrkdwn fallback, or plain mrkdwn for clients that prefer it
+const SLACK_MESSAGE_FORMAT = (process.env.SLACK_MESSAGE_FORMAT || "blocks").trim().toLowerCase();
+if (!["blocks", "text"].includes(SLACK_MESSAGE_FORMAT)) {
+  ENV_ERRORS.push(`SLACK_MESSAGE_FORMAT must be "blocks" or "text" (got "${SLACK_MESSAGE_FORMAT}")`);
+}
+
+// Threaded details: the channel post carries headline counts only; each section's
+// line items go out as replies in its thread, linked from the headline.
+const SLACK_THREAD_DETAILS = process.env.SLACK_THREAD_DETAILS == null || isTruthyEnv(process.env.SLACK_THREAD_DETAILS);
+
 // Team "L1+L2" (enforced locally)
 const TEAM_ID_L1_L2 = "0363526b-d360-424a-9306-869bf7c2be4f";
 
@@ -76,77 +278,612 @@ const OPEN_STATES = new Set(["new", "waiting_on_you", "waiting_on_customer", "on
 const P0_P1_PRIORITIES = new Set(["urgent", "high"]);
 const P2_P3_PRIORITIES = new Set(["medium", "low"]);
 
-// FRT SLA matrix: tier slug -> [P0, P1, P2, P3] in seconds.
-// Business hours = M-F 09:00-17:00 PT unless SLA_IS_CALENDAR marks the cell true.
-// 1 biz day = 8 biz hrs.  "best effort" tiers use calendar hours with relaxed thresholds.
+// SLA priorities in P0..P3 order (Pylon priority values); index into SLA arrays
+const SLA_PRIORITIES = ["urgent", "high", "medium", "low"];
+const PRIORITY_IDX = Object.fromEntries(SLA_PRIORITIES.map((p, i) => [p, i]));
+
+// Coverage modes:
+// "biz"      = M-F 09:00-17:00 PT (8 h/day) — Lite Legacy, Pro
+// "weekday"  = M-F 00:00-24:00 PT (24 h/day) — Pro Plus (24x5)
+// "calendar" = all hours, all days (24x7) — Enterprise P0
+const COVERAGE_MODES = new Set(["biz", "weekday", "calendar"]);
+
+// Shipped SLA matrix (mirrors config/sla.json); used when that file is absent.
 // Pylon slug -> SLA table column:
 //   enterprise_elite = Enterprise Elite
 //   enterprise       = Enterprise Standard
 //   pro_plus         = Pro Plus
 //   pro              = Pro                        (confirmed from live data)
-//   lite      = Lite (Legacy) & Pro (Legacy)
+//   lite             = Lite (Legacy) & Pro (Legacy)
 //   community        = Free / Open Source / Community
 //   unknown          = Unknown                    (confirmed from live data)
-const SLA_SECONDS = {
-  //                   P0             P1              P2               P3
-  lite:               [24 * 3600,     24 * 3600,      3 * 8 * 3600,    7 * 8 * 3600 ], // 9-5 biz hrs
-  pro:                [8  * 3600,     16 * 3600,      2 * 8 * 3600,    5 * 8 * 3600 ], // 9-5 biz hrs
-  pro_plus:           [4  * 3600,     8  * 3600,      24 * 3600,       3 * 24 * 3600], // 24x5 weekday hrs
-  enterprise:         [2  * 3600,     4  * 3600,      24 * 3600,       3 * 24 * 3600], // P0 24x7; P1-P3 weekday-only
-  enterprise_elite:   [1  * 3600,     4  * 3600,      8  * 3600,       24 * 3600    ], // P0 24x7; P1-P3 weekday-only
-  community:          [24 * 3600,     24 * 3600,      72 * 3600,       72 * 3600    ], // best effort: calendar
-  unknown:            [24 * 3600,     24 * 3600,      72 * 3600,       72 * 3600    ], // best effort: calendar
+// FRT and update hours are in the cell's coverage clock: 1 biz day = 8 biz hrs.
+const ENTERPRISE_COVERAGE = { urgent: "calendar", high: "weekday", medium: "weekday", low: "weekday" };
+const DEFAULT_SLA_CONFIG = {
+  tiers: {
+    lite:             { display_name: "Lite",             enterprise_like: false, frt_hours: { urgent: 24, high: 24, medium: 24, low: 56 }, coverage: "biz",
+                      update_hours: { urgent: 8,  high: 8,  medium: 24, low: 24 }, update_coverage: "biz" },
+    pro:              { display_name: "Pro",              enterprise_like: false, frt_hours: { urgent: 8,  high: 16, medium: 16, low: 40 }, coverage: "biz",
+                      update_hours: { urgent: 8,  high: 8,  medium: 24, low: 24 }, update_coverage: "biz" },
+    pro_plus:         { display_name: "Pro+",             enterprise_like: false, frt_hours: { urgent: 4,  high: 8,  medium: 24, low: 72 }, coverage: "weekday",
+                      update_hours: { urgent: 24, high: 24, medium: 72, low: 72 }, update_coverage: "weekday" },
+    enterprise:       { display_name: "Enterprise",       enterprise_like: true,  frt_hours: { urgent: 2,  high: 4,  medium: 24, low: 72 }, coverage: ENTERPRISE_COVERAGE,
+                      update_hours: { urgent: 24, high: 24, medium: 72, low: 72 }, update_coverage: ENTERPRISE_COVERAGE },
+    enterprise_elite: { display_name: "Enterprise Elite", enterprise_like: true,  frt_hours: { urgent: 1,  high: 4,  medium: 8,  low: 24 }, coverage: ENTERPRISE_COVERAGE,
+                      update_hours: { urgent: 24, high: 24, medium: 72, low: 72 }, update_coverage: ENTERPRISE_COVERAGE },
+    community:        { display_name: "Community",        enterprise_like: false, frt_hours: { urgent: 24, high: 24, medium: 72, low: 72 }, coverage: "biz",
+                      update_hours: { urgent: 8,  high: 8,  medium: 24, low: 24 }, update_coverage: "biz" },
+    unknown:          { display_name: "Unknown",          enterprise_like: false, frt_hours: { urgent: 24, high: 24, medium: 72, low: 72 }, coverage: "biz",
+                      update_hours: { urgent: 8,  high: 8,  medium: 24, low: 24 }, update_coverage: "biz" },
+  },
 };
 
+/**
+ * SLA config schema (config/sla.json):
+ *
+ *   {
+ *     "tiers": {
+ *       "<pylon tier slug, dashes as underscores>": {
+ *         "display_name":    string, required
+ *         "enterprise_like": boolean, optional (default false) — 📌 marker, Enterprise FR Pending
+ *                            bucket, SLA clock starts at ticket conversion
+ *         "frt_hours":       { urgent, high, medium, low }: positive number, all four required
+ *         "coverage":        coverage mode for every priority, or { urgent, high, medium, low }
+ *         "update_hours":    { urgent, high, medium, low }: positive number, all four required —
+ *                            max time a customer waits for a reply (waiting-on-support scan);
+ *                            optional, defaults to 8h P0/P1 and 24h P2/P3 on a biz clock,
+ *                            24h / 72h on weekday or calendar
+ *         "update_coverage": coverage mode(s) for the update clock, same shape as "coverage";
+ *                            optional, defaults to the tier's "coverage"
+ *       }
+ *     },
+ *     "account_overrides": {              optional — negotiated contracts, keyed by Pylon account ID
+ *       "<account id>": {
+ *         "name":      string, optional (for humans reading the file)
+ *         "frt_hours": { <priority>: hours } — only the priorities that differ
+ *         "coverage":  coverage mode, or { <priority>: mode } — only the priorities that differ
+ *       }
+ *     }
+ *   }
+ *
+ * Returns a list of human-readable problems ([] when valid).
+ */
+function validateSlaConfig(config) {
+  const errors = [];
+  const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+  if (!isObj(config)) return ["root must be an object"];
+  for (const key of Object.keys(config)) {
+    if (key !== "tiers" && key !== "account_overrides") errors.push(`unknown top-level key "${key}"`);
+  }
+
+  // Per-priority maps; `partial` (account overrides) allows omitting priorities.
+  const checkHours = (at, map, partial) => {
+    if (!isObj(map)) return errors.push(`${at} must be an object keyed by priority`);
+    for (const prio of SLA_PRIORITIES) {
+      const v = map[prio];
+      if (v === undefined) {
+        if (!partial) errors.push(`${at} is missing priority "${prio}"`);
+      } else if (typeof v !== "number" || !Number.isFinite(v) || v <= 0) {
+        errors.push(`${at}.${prio} must be a positive number of hours`);
+      }
+    }
+    for (const prio of Object.keys(map)) {
+      if (!Object.hasOwn(PRIORITY_IDX, prio)) errors.push(`${at}: unknown priority "${prio}"`);
+    }
+  };
+  const checkCoverage = (at, value, partial) => {
+    if (typeof value === "string") {
+      if (!COVERAGE_MODES.has(value)) errors.push(`${at}: unknown coverage mode "${value}"`);
+      return;
+    }
+    if (!isObj(value)) return errors.push(`${at} must be a coverage mode or an object keyed by priority`);
+    for (const prio of SLA_PRIORITIES) {
+      const mode = value[prio];
+      if (mode === undefined) {
+        if (!partial) errors.push(`${at} is missing priority "${prio}"`);
+      } else if (!COVERAGE_MODES.has(mode)) {
+        errors.push(`${at}.${prio}: unknown coverage mode "${mode}"`);
+      }
+    }
+    for (const prio of Object.keys(value)) {
+      if (!Object.hasOwn(PRIORITY_IDX, prio)) errors.push(`${at}: unknown priority "${prio}"`);
+    }
+  };
+
+  if (config.account_overrides !== undefined) {
+    if (!isObj(config.account_overrides)) {
+      errors.push(`"account_overrides" must be an object keyed by Pylon account ID`);
+    } else {
+      const overrideKeys = new Set(["name", "frt_hours", "coverage"]);
+      for (const [accountId, ov] of Object.entries(config.account_overrides)) {
+        const at = `account_overrides.${accountId}`;
+        if (!isObj(ov)) {
+          errors.push(`${at} must be an object`);
+          continue;
+        }
+        for (const key of Object.keys(ov)) {
+          if (!overrideKeys.has(key)) errors.push(`${at}: unknown key "${key}"`);
+        }
+        if (ov.name !== undefined && typeof ov.name !== "string") errors.push(`${at}.name must be a string`);
+        if (ov.frt_hours === undefined && ov.coverage === undefined) {
+          errors.push(`${at} must set frt_hours and/or coverage`);
+        }
+        if (ov.frt_hours !== undefined) checkHours(`${at}.frt_hours`, ov.frt_hours, true);
+        if (ov.coverage !== undefined) checkCoverage(`${at}.coverage`, ov.coverage, true);
+      }
+    }
+  }
+  if (!isObj(config.tiers) || Object.keys(config.tiers).length === 0) {
+    errors.push(`"tiers" must be a non-empty object`);
+    return errors;
+  }
+
+  const tierKeys = new Set(["display_name", "enterprise_like", "frt_hours", "coverage", "update_hours", "update_coverage"]);
+  for (const [slug, tier] of Object.entries(config.tiers)) {
+    const at = `tiers.${slug}`;
+    if (!isObj(tier)) {
+      errors.push(`${at} must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(tier)) {
+      if (!tierKeys.has(key)) errors.push(`${at}: unknown key "${key}"`);
+    }
+    if (typeof tier.display_name !== "string" || tier.display_name.trim() === "") {
+      errors.push(`${at}.display_name must be a non-empty string`);
+    }
+    if (tier.enterprise_like !== undefined && typeof tier.enterprise_like !== "boolean") {
+      errors.push(`${at}.enterprise_like must be a boolean`);
+    }
+
+    checkHours(`${at}.frt_hours`, tier.frt_hours, false);
+    checkCoverage(`${at}.coverage`, tier.coverage, false);
+    if (tier.update_hours !== undefined) checkHours(`${at}.update_hours`, tier.update_hours, false);
+    if (tier.update_coverage !== undefined) checkCoverage(`${at}.update_coverage`, tier.update_coverage, false);
+  }
+  return errors;
+}
+
+/**
+ * Load and validate config/sla.json (falls back to DEFAULT_SLA_CONFIG if absent).
+ * Any schema violation aborts the run: a typo in a coverage mode would
+ * otherwise silently fall back to "biz" and misreport breaches.
+ */
+function loadSlaConfig() {
+  const __dirname = dirname(fileURLToPath(import.meta.url));
+  const configPath = resolve(__dirname, "..", "config", "sla.json");
+  let config = DEFAULT_SLA_CONFIG;
+  if (existsSync(configPath)) {
+    config = JSON.parse(readFileSync(configPath, "utf8"));
+    log.info("CONFIG", "Loaded SLA matrix", { path: configPath });
+  } else {
+    log.info("CONFIG", "No config/sla.json; using shipped SLA defaults.");
+  }
+
+  const errors = validateSlaConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`[CONFIG] Invalid SLA config (${configPath}):\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const coverageFor = (cov, p) => (typeof cov === "string" ? cov : cov?.[p] ?? null);
+
+  const seconds = {};
+  const coverage = {};
+  const displayNames = {};
+  const enterpriseLike = new Set();
+  const updateSeconds = {};
+  const updateCoverage = {};
+  for (const [slug, tier] of Object.entries(config.tiers)) {
+    seconds[slug] = SLA_PRIORITIES.map((p) => tier.frt_hours[p] * 3600);
+    coverage[slug] = SLA_PRIORITIES.map((p) => coverageFor(tier.coverage, p));
+    // update_hours / update_coverage are optional (sla.json files written before the update
+    // matrix have neither); a missing one keeps the pre-matrix rule: the tier's FRT coverage,
+    // 1 day for P0/P1 and 3 days for P2/P3 in that clock (1 biz day = 8 biz hrs).
+    updateCoverage[slug] = SLA_PRIORITIES.map((p) => coverageFor(tier.update_coverage ?? tier.coverage, p));
+    updateSeconds[slug] = SLA_PRIORITIES.map((p, i) => {
+      if (tier.update_hours) return tier.update_hours[p] * 3600;
+      const days = i <= 1 ? 1 : 3;
+      return (updateCoverage[slug][i] === "biz" ? days * 8 : days * 24) * 3600;
+    });
+    displayNames[slug] = tier.display_name;
+    if (tier.enterprise_like) enterpriseLike.add(slug);
+  }
+
+  // accountId -> { name, seconds: [P0..P3 | null], coverage: [P0..P3 | null] }; null = tier default
+  const accountOverrides = new Map();
+  for (const [accountId, ov] of Object.entries(config.account_overrides ?? {})) {
+    accountOverrides.set(accountId, {
+      name: ov.name ?? null,
+      seconds: SLA_PRIORITIES.map((p) => (ov.frt_hours?.[p] != null ? ov.frt_hours[p] * 3600 : null)),
+      coverage: SLA_PRIORITIES.map((p) => coverageFor(ov.coverage, p)),
+    });
+  }
+  if (accountOverrides.size > 0) log.info("CONFIG", "Account SLA overrides loaded", { count: accountOverrides.size });
+
+  return { seconds, coverage, updateSeconds, updateCoverage, displayNames, enterpriseLike, accountOverrides };
+}
+
+// Loaded by loadConfig() at the start of main(), like every config file.
+let SLA_CONFIG;
+
+// FRT SLA matrix: tier slug -> [P0, P1, P2, P3] in seconds (in the cell's coverage clock).
+let SLA_SECONDS;
+
 // Coverage mode per tier × priority cell.
-// "biz"      = M-F 09:00-17:00 PT (8 h/day) — Lite Legacy, Pro
-// "weekday"  = M-F 00:00-24:00 PT (24 h/day) — Pro Plus (24x5)
-// "calendar" = all hours, all days (24x7) — Enterprise tiers, best-effort tiers
-const SLA_COVERAGE = {
-  lite:        ["biz",      "biz",      "biz",      "biz"     ],
-  pro:                ["biz",      "biz",      "biz",      "biz"     ],
-  pro_plus:           ["weekday",  "weekday",  "weekday",  "weekday" ],
-  enterprise:         ["calendar", "weekday",  "weekday",  "weekday" ], // P0 24x7; P1-P3 M-F only
-  enterprise_elite:   ["calendar", "weekday",  "weekday",  "weekday" ], // P0 24x7; P1-P3 M-F only
-  community:          ["biz",      "biz",      "biz",      "biz"     ],
-  unknown:            ["biz",      "biz",      "biz",      "biz"     ],
-};
+let SLA_COVERAGE;
+
+/**
+ * FRT SLA cell for a ticket: the tier's threshold and coverage for its
+ * priority, with the account's contractual override (if any) replacing
+ * either one.  customSla marks tickets where an override actually applied.
+ */
+function frtSlaFor(tier, prioRaw, accountId) {
+  const prioIdx = PRIORITY_IDX[prioRaw] ?? null;
+  if (prioIdx === null) return { slaSeconds: null, coverage: "biz", customSla: false };
+  const override = accountId ? SLA_CONFIG.accountOverrides.get(accountId) : null;
+  const overrideSeconds = override?.seconds[prioIdx] ?? null;
+  const overrideCoverage = override?.coverage[prioIdx] ?? null;
+  return {
+    slaSeconds: overrideSeconds ?? SLA_SECONDS[tier]?.[prioIdx] ?? null,
+    coverage: overrideCoverage ?? SLA_COVERAGE[tier]?.[prioIdx] ?? "biz",
+    customSla: overrideSeconds !== null || overrideCoverage !== null,
+  };
+}
+
+/**
+ * Update-frequency SLA cell for a ticket (waiting-on-support scan).
+ * Tiers missing from the matrix use the "unknown" row, then the shipped one.
+ */
+function updateSlaFor(tier, prioRaw) {
+  const prioIdx = PRIORITY_IDX[prioRaw];
+  const row = Object.hasOwn(SLA_CONFIG.updateSeconds, tier) ? tier : "unknown";
+  const fallback = DEFAULT_SLA_CONFIG.tiers.unknown;
+  return {
+    thresholdSeconds: SLA_CONFIG.updateSeconds[row]?.[prioIdx] ?? fallback.update_hours[prioRaw] * 3600,
+    coverage: SLA_CONFIG.updateCoverage[row]?.[prioIdx] ?? fallback.update_coverage,
+  };
+}
 
-// Index mapping for SLA arrays
-const PRIORITY_IDX = { urgent: 0, high: 1, medium: 2, low: 3 };
+/**
+ * Human label for the update SLA of a priority group, e.g. "1 day" or
+ * "8h–3 days" when tiers differ.  Whole days are counted in the cell's
+ * clock (8 biz hrs or 24 h); anything else is shown in hours.
+ */
+function updateSlaLabel(priorities) {
+  const cells = [];
+  for (const slug of Object.keys(SLA_CONFIG.updateSeconds)) {
+    for (const prio of priorities) {
+      const idx = PRIORITY_IDX[prio];
+      const hours = SLA_CONFIG.updateSeconds[slug][idx] / 3600;
+      const hoursPerDay = SLA_CONFIG.updateCoverage[slug][idx] === "biz" ? 8 : 24;
+      const days = hours / hoursPerDay;
+      const label = Number.isInteger(days) ? `${days} day${days === 1 ? "" : "s"}` : `${hours}h`;
+      cells.push({ label, days });
+    }
+  }
+  cells.sort((a, b) => a.days - b.days);
+  const min = cells[0].label;
+  const max = cells[cells.length - 1].label;
+  return min === max ? min : `${min}–${max}`;
+}
 
-// Header labels (handoff-to sequence)
-const SLOT_CONFIG = {
-  apac: { headerLabel: "APAC to EMEA" },
-  emea: { headerLabel: "EMEA to US" },
-  us: { headerLabel: "US to APAC" },
+// Header labels for the Waiting on Support sections: { p0p1, p2p3 }.
+let UPDATE_SLA_LABELS;
+
+// Shipped shift regions (mirrors config/regions.json); used when that file is absent.
+// Key order is the handoff order used in the assignment breakdown and trend report.
+const DEFAULT_REGIONS_CONFIG = {
+  regions: {
+    apac: { label: "APAC", handoff_to: "emea", handoff_slug: "apac_emea",    timezone: "America/Los_Angeles", start: "18:00", end: "03:00" },
+    emea: { label: "EMEA", handoff_to: "us",   handoff_slug: "emea_america", handoff_label: "America", timezone: "America/Los_Angeles", start: "01:00", end: "10:00" },
+    us:   { label: "US",   handoff_to: "apac", handoff_slug: "america_apac", timezone: "America/Los_Angeles", start: "09:00", end: "18:00", breakdown_label: "AMERICA" },
+  },
 };
 
-// Shift rosters for assignment breakdown (names must match Pylon user names).
-// Loaded from config/rosters.json if available; falls back to hardcoded defaults.
+/**
+ * Region config schema (config/regions.json):
+ *
+ *   {
+ *     "regions": {
+ *       "<slot name, the CLI argument>": {
+ *         "label":           string, required — "APAC", used in headers and deltas
+ *         "handoff_to":      slot name of the next shift, required — "APAC to EMEA team handoff"
+ *         "handoff_slug":    string, optional (default "<slot>_<handoff_to>") — the Pylon
+ *                            hand_off_region option for tickets handed to the next shift;
+ *                            shown as handoff_label in "Handoff Region:"
+ *         "handoff_label":   string, optional (default: the next shift's label) — "Handoff Region:"
+ *                            text for handoff_slug
+ *         "timezone":        IANA zone the start/end times are in, required
+ *         "start", "end":    "HH:mm", required; end <= start means the shift crosses midnight
+ *         "breakdown_label": string, optional (default: label) — assignment breakdown tag
+ *       }
+ *     }
+ *   }
+ *
+ * Returns a list of human-readable problems ([] when valid).
+ */
+function validateRegionsConfig(config) {
+  const errors = [];
+  const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+  if (!isObj(config)) return ["root must be an object"];
+  for (const key of Object.keys(config)) {
+    if (key !== "regions") errors.push(`unknown top-level key "${key}"`);
+  }
+  if (!isObj(config.regions) || Object.keys(config.regions).length === 0) {
+    errors.push(`"regions" must be a non-empty object`);
+    return errors;
+  }
+
+  // Other CLI commands, and rosters.json keys that share its namespace
+  const reserved = new Set([
+    "weekly", "monthly", "holidays", "shift-leads", "serve", "daemon",
+    "shift_lead_roster", "shift_lead_anchor", "shift_lead_overrides", "shift_lead_swaps", "leave", "dm_digest",
+  ]);
+  const regionKeys = new Set(["label", "handoff_to", "handoff_slug", "handoff_label", "timezone", "start", "end", "breakdown_label"]);
+  const handoffSlugs = new Map(); // slug -> region that claims it
+  for (const [name, region] of Object.entries(config.regions)) {
+    const at = `regions.${name}`;
+    if (!/^[a-z][a-z0-9_-]*$/.test(name)) errors.push(`${at}: name must be lowercase letters, digits, "-" or "_"`);
+    if (reserved.has(name)) errors.push(`${at}: "${name}" is a reserved name`);
+    if (!isObj(region)) {
+      errors.push(`${at} must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(region)) {
+      if (!regionKeys.has(key)) errors.push(`${at}: unknown key "${key}"`);
+    }
+    if (typeof region.label !== "string" || region.label.trim() === "") {
+      errors.push(`${at}.label must be a non-empty string`);
+    }
+    if (region.breakdown_label !== undefined && (typeof region.breakdown_label !== "string" || region.breakdown_label.trim() === "")) {
+      errors.push(`${at}.breakdown_label must be a non-empty string`);
+    }
+    if (!Object.hasOwn(config.regions, region.handoff_to)) {
+      errors.push(`${at}.handoff_to must name a configured region (got ${JSON.stringify(region.handoff_to)})`);
+    }
+    if (region.handoff_slug !== undefined && (typeof region.handoff_slug !== "string" || region.handoff_slug.trim() === "")) {
+      errors.push(`${at}.handoff_slug must be a non-empty string`);
+    }
+    if (region.handoff_label !== undefined && (typeof region.handoff_label !== "string" || region.handoff_label.trim() === "")) {
+      errors.push(`${at}.handoff_label must be a non-empty string`);
+    }
+    const handoffSlug = region.handoff_slug ?? `${name}_${region.handoff_to}`;
+    if (handoffSlugs.has(handoffSlug)) {
+      errors.push(`${at}: handoff_slug "${handoffSlug}" is already used by regions.${handoffSlugs.get(handoffSlug)}`);
+    }
+    handoffSlugs.set(handoffSlug, name);
+    if (typeof region.timezone !== "string" || !DateTime.now().setZone(region.timezone).isValid) {
+      errors.push(`${at}.timezone must be an IANA timezone (got ${JSON.stringify(region.timezone)})`);
+    }
+    for (const key of ["start", "end"]) {
+      if (typeof region[key] !== "string" || !/^([01]\d|2[0-3]):[0-5]\d$/.test(region[key])) {
+        errors.push(`${at}.${key} must be "HH:mm" (got ${JSON.stringify(region[key])})`);
+      }
+    }
+    if (region.start === region.end) errors.push(`${at}: start and end must differ`);
+  }
+  return errors;
+}
+
+/**
+ * Load and validate config/regions.json (falls back to DEFAULT_REGIONS_CONFIG
+ * if absent).  Returns slot name -> { label, breakdownLabel, handoffTo,
+ * handoffSlug, handoffLabel, headerLabel, timezone, start: {hour, minute}, end: {hour, minute}, crossesMidnight }.
+ */
+function loadRegionsConfig() {
+  const __dirname = dirname(fileURLToPath(import.meta.url));
+  const configPath = resolve(__dirname, "..", "config", "regions.json");
+  let config = DEFAULT_REGIONS_CONFIG;
+  if (existsSync(configPath)) {
+    config = JSON.parse(readFileSync(configPath, "utf8"));
+    log.info("CONFIG", "Loaded regions", { path: configPath });
+  } else {
+    log.info("CONFIG", "No config/regions.json; using shipped APAC/EMEA/US shifts.");
+  }
+
+  const errors = validateRegionsConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`[CONFIG] Invalid regions config (${configPath}):\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const toTime = (hhmm) => {
+    const [hour, minute] = hhmm.split(":").map(Number);
+    return { hour, minute };
+  };
+  const slots = {};
+  for (const [name, region] of Object.entries(config.regions)) {
+    slots[name] = {
+      label: region.label,
+      breakdownLabel: region.breakdown_label ?? region.label,
+      handoffTo: region.handoff_to,
+      handoffSlug: region.handoff_slug ?? `${name}_${region.handoff_to}`,
+      handoffLabel: region.handoff_label ?? config.regions[region.handoff_to].label,
+      headerLabel: `${region.label} to ${config.regions[region.handoff_to].label}`,
+      timezone: region.timezone,
+      start: toTime(region.start),
+      end: toTime(region.end),
+      crossesMidnight: region.end < region.start,
+    };
+  }
+  return slots;
+}
+
+// Shift regions keyed by slot name (the CLI argument), in handoff order (loadConfig()).
+let SLOT_CONFIG;
+
+// Shift rosters for assignment breakdown, one array per configured region.
+// Loaded from config/rosters.json if available; regions missing there fall
+// back to these defaults, or to an empty roster.
 const DEFAULT_ROSTERS = {
   emea: ["Dylan Bonar", "Tommy Lundy", "Robert Norrie", "Bryan Nalty"],
   apac: ["Saurabh Lambe", "Chinmay Koratkar"],
   us: ["Feran Morgan", "Tassia Shibuya", "Fariha Marzan", "Tim Perry"],
 };
 
+/**
+ * Roster entry -> member.  An entry is either a Pylon display name (legacy,
+ * breaks on renames and duplicate names) or an object keyed by a stable ID:
+ *
+ *   { "id": "<pylon user id>", "email": "a@example.com", "name": "Friendly label" }
+ *
+ * with "id" and/or "email" required and "name" optional.  userId and label
+ * are filled in by resolveRosterMembers() once /users has been fetched.
+ */
+function normalizeRosterEntry(entry, where) {
+  const str = (v) => (typeof v === "string" && v.trim() ? v.trim() : null);
+  if (str(entry)) {
+    return { id: null, email: null, name: str(entry), userId: null, label: str(entry), leave: [], dmDigest: false };
+  }
+  if (entry != null && typeof entry === "object" && !Array.isArray(entry)) {
+    const id = str(entry.id);
+    const email = str(entry.email)?.toLowerCase() ?? null;
+    const name = str(entry.name);
+    if (id || email) return { id, email, name, userId: id, label: name ?? email ?? id, leave: [], dmDigest: false };
+  }
+  log.warn("CONFIG", `rosters.json ${where}: skipping invalid entry (expected a name, or an object with "id" and/or "email")`, {
+    entry,
+  });
+  return null;
+}
+
+function normalizeRoster(list, where) {
+  return list.map((entry) => normalizeRosterEntry(entry, where)).filter(Boolean);
+}
+
+// True when a config reference (e.g. shift_lead_anchor.name) names this member.
+function rosterMemberMatches(member, ref) {
+  if (typeof ref !== "string" || ref === "") return false;
+  return ref === member.id || ref.toLowerCase() === member.email || ref === member.name || ref === member.label;
+}
+
+// "yyyy-MM-dd" -> same string if it is a real calendar date, else null.
+function parseRosterDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  return DateTime.fromISO(value).isValid ? value : null;
+}
+
+/**
+ * Dated ranges from rosters.json ("leave" entries, shift_lead_overrides):
+ * { "from": "yyyy-MM-dd", "to": "yyyy-MM-dd" } inclusive; "to" defaults to "from".
+ * Invalid ranges are skipped with a warning, like other roster entries.
+ */
+function parseRosterRange(range, where) {
+  const from = parseRosterDate(range?.from);
+  const to = range?.to === undefined ? from : parseRosterDate(range.to);
+  if (!from || !to || to < from) {
+    log.warn("CONFIG", `rosters.json ${where}: skipping invalid date range`, { range });
+    return null;
+  }
+  return { from, to };
+}
+
+function inRosterRange(range, isoDate) {
+  return isoDate >= range.from && isoDate <= range.to;
+}
+
+function isOnLeave(member, isoDate) {
+  return member.leave.some((range) => inRosterRange(range, isoDate));
+}
+
+/**
+ * Attach leave ranges to roster members.  rosters.json:
+ *   "leave": { "<member id, email or name>": [{ "from": "2026-07-01", "to": "2026-07-14" }, ...] }
+ * A member listed in several rosters is on leave in all of them.
+ */
+function applyRosterLeave(leave, members) {
+  if (leave == null) return;
+  if (typeof leave !== "object" || Array.isArray(leave)) {
+    log.warn("CONFIG", `rosters.json "leave" must be an object keyed by member; ignoring it.`);
+    return;
+  }
+  for (const [ref, ranges] of Object.entries(leave)) {
+    const matched = members.filter((m) => rosterMemberMatches(m, ref));
+    if (matched.length === 0) log.warn("CONFIG", `rosters.json leave: "${ref}" is not in any roster.`);
+    for (const range of Array.isArray(ranges) ? ranges : [ranges]) {
+      const parsedRange = parseRosterRange(range, `leave.${ref}`);
+      if (parsedRange) for (const member of matched) member.leave.push(parsedRange);
+    }
+  }
+}
+
+/**
+ * Opt in to personal DM digests:  "dm_digest": ["<member id, email or name>", ...]
+ */
+function applyDmDigestOptIns(optIns, members) {
+  if (optIns == null) return;
+  if (!Array.isArray(optIns)) {
+    log.warn("CONFIG", `rosters.json "dm_digest" must be a list of members; ignoring it.`);
+    return;
+  }
+  for (const ref of optIns) {
+    const matched = members.filter((m) => rosterMemberMatches(m, ref));
+    if (matched.length === 0) log.warn("CONFIG", `rosters.json dm_digest: "${ref}" is not in any roster.`);
+    for (const member of matched) member.dmDigest = true;
+  }
+}
+
+/**
+ * Shift-lead overrides, applied before the rotation and regardless of leave:
+ *   "shift_lead_overrides": { "<slot>": [{ "from": "2026-07-01", "to": "2026-07-31", "lead": "<member>" }] }
+ */
+function parseShiftLeadOverrides(overrides) {
+  const result = {};
+  if (overrides == null) return result;
+  for (const [slot, list] of Object.entries(overrides)) {
+    result[slot] = [];
+    for (const entry of Array.isArray(list) ? list : [list]) {
+      const range = parseRosterRange(entry, `shift_lead_overrides.${slot}`);
+      if (!range) continue;
+      if (typeof entry.lead !== "string" || entry.lead.trim() === "") {
+        log.warn("CONFIG", `rosters.json shift_lead_overrides.${slot}: skipping entry without "lead"`);
+        continue;
+      }
+      result[slot].push({ ...range, lead: entry.lead.trim() });
+    }
+  }
+  return result;
+}
+
+/**
+ * One-off shift-lead swaps: within the range, wherever the rotation picks one
+ * of the two members, the other leads instead.
+ *   "shift_lead_swaps": { "<slot>": [{ "from": "2026-07-06", "to": "2026-07-19", "swap": ["<member>", "<member>"] }] }
+ */
+function parseShiftLeadSwaps(swaps) {
+  const result = {};
+  if (swaps == null) return result;
+  for (const [slot, list] of Object.entries(swaps)) {
+    result[slot] = [];
+    for (const entry of Array.isArray(list) ? list : [list]) {
+      const range = parseRosterRange(entry, `shift_lead_swaps.${slot}`);
+      if (!range) continue;
+      const pair = entry.swap;
+      if (!Array.isArray(pair) || pair.length !== 2 || !pair.every((ref) => typeof ref === "string" && ref.trim())) {
+        log.warn("CONFIG", `rosters.json shift_lead_swaps.${slot}: "swap" must list exactly two members`);
+        continue;
+      }
+      result[slot].push({ ...range, swap: pair.map((ref) => ref.trim()) });
+    }
+  }
+  return result;
+}
+
 function loadRosters() {
   try {
     const __dirname = dirname(fileURLToPath(import.meta.url));
     const configPath = resolve(__dirname, "..", "config", "rosters.json");
     const raw = readFileSync(configPath, "utf8");
     const parsed = JSON.parse(raw);
-    console.log(`[CONFIG] Loaded rosters from ${configPath}`);
+    log.info("CONFIG", "Loaded rosters", { path: configPath });
 
     // Normalize shift_lead_roster: ensure each slot value is an array
     const shiftLeadRoster = {};
     if (parsed.shift_lead_roster && typeof parsed.shift_lead_roster === 'object') {
       for (const [slot, value] of Object.entries(parsed.shift_lead_roster)) {
         if (Array.isArray(value)) {
-          shiftLeadRoster[slot] = value;
+          shiftLeadRoster[slot] = normalizeRoster(value, `shift_lead_roster.${slot}`);
         } else if (value != null) {
           // Wrap non-null, non-array values in an array
-          shiftLeadRoster[slot] = [value];
+          shiftLeadRoster[slot] = normalizeRoster([value], `shift_lead_roster.${slot}`);
         } else {
           // null/undefined becomes empty array
           shiftLeadRoster[slot] = [];
@@ -154,64 +891,322 @@ function loadRosters() {
       }
     }
 
+    const rosters = {};
+    for (const slot of Object.keys(SLOT_CONFIG)) {
+      rosters[slot] = normalizeRoster(Array.isArray(parsed[slot]) ? parsed[slot] : DEFAULT_ROSTERS[slot] ?? [], slot);
+      if (!Array.isArray(parsed[slot])) log.warn("CONFIG", `rosters.json has no "${slot}" roster; using defaults.`);
+    }
+
+    const allMembers = [...Object.values(rosters).flat(), ...Object.values(shiftLeadRoster).flat()];
+    applyRosterLeave(parsed.leave, allMembers);
+    applyDmDigestOptIns(parsed.dm_digest, allMembers);
+
     return {
-      emea: Array.isArray(parsed.emea) ? parsed.emea : DEFAULT_ROSTERS.emea,
-      apac: Array.isArray(parsed.apac) ? parsed.apac : DEFAULT_ROSTERS.apac,
-      us: Array.isArray(parsed.us) ? parsed.us : DEFAULT_ROSTERS.us,
+      ...rosters,
       shift_lead_roster: shiftLeadRoster,
       shift_lead_anchor: parsed.shift_lead_anchor ?? null,
+      shift_lead_overrides: parseShiftLeadOverrides(parsed.shift_lead_overrides),
+      shift_lead_swaps: parseShiftLeadSwaps(parsed.shift_lead_swaps),
     };
   } catch (err) {
-    console.warn(`[CONFIG] Could not load config/rosters.json, using defaults: ${err?.message || err}`);
-    return DEFAULT_ROSTERS;
+    log.warn("CONFIG", "Could not load config/rosters.json, using defaults", errorFields(err));
+    return Object.fromEntries(Object.keys(SLOT_CONFIG).map((slot) => [slot, normalizeRoster(DEFAULT_ROSTERS[slot] ?? [], slot)]));
   }
 }
 
-const REGION_ROSTERS = loadRosters();
-
-// Saved views (Slack hyperlinks)
-const SLACK_LINKS = {
-  handoffIssues: "https://app.usepylon.com/issues/views/e799d418-120d-4849-bf81-37d5afdba15c",
-  frSlaPendingP0P1: "https://app.usepylon.com/issues/views/039f2559-c7ca-4550-929e-31dc881351d3",
-  frSlaPendingP2P3: "https://app.usepylon.com/issues/views/70565321-570f-4dfe-856a-c767e4042511",
-  entFrPending: "https://app.usepylon.com/support/issues/views/52449f32-d81d-4202-a03b-bd29341e6d26",
-};
+let REGION_ROSTERS; // loadConfig()
 
-// Pylon issue permalink
-function pylonIssueUrl(conversationId) {
-  return `https://app.usepylon.com/issues?conversationID=${conversationId}`;
+/**
+ * Holiday calendars (config/holidays.json), all dates/times in America/Los_Angeles:
+ *
+ *   {
+ *     "calendars": {
+ *       "us": [
+ *         { "date": "2026-12-25", "name": "Christmas Day" },                       // whole day
+ *         { "date": "2026-12-24", "name": "Christmas Eve", "start": "12:00" },     // partial: 12:00 -> 24:00
+ *         { "from": "2026-12-28", "to": "2026-12-31", "name": "Company shutdown" } // inclusive range
+ *       ]
+ *     },
+ *     "coverage_calendars": { "biz": "us", "weekday": "us" },  // per SLA coverage mode
+ *     "tier_calendars": { "enterprise": null }                  // per tier; wins over coverage (null = none)
+ *   }
+ *
+ * Parsed to { calendars: Map<name, Map<"yyyy-MM-dd", [{ name, start, end }]>>, coverageCalendars, tierCalendars }
+ * where start/end are "HH:mm" bounds of the excluded part of that day ("24:00"
+ * is the only valid hour-24 value: end of day).
+ * A missing file means no holidays; a malformed one fails the run — silently
+ * wrong SLA clocks are worse than no report.  A calendar with no dates on or
+ * after the run date only logs a warning.
+ */
+function parseHolidayTime(value, fallback, where) {
+  if (value == null) return fallback;
+  if (typeof value !== "string" || !/^(?:([01]\d|2[0-3]):[0-5]\d|24:00)$/.test(value)) {
+    throw new Error(`[CONFIG] holidays.json ${where}: time must be "HH:mm" (got ${JSON.stringify(value)})`);
+  }
+  return value;
 }
 
-/** ----------------------------
- *  HELPERS
- *  ---------------------------- */
-
-function requireEnv(varName) {
-  const v = process.env[varName];
-  if (!v) throw new Error(`Missing required env var: ${varName}`);
-  return v;
+function parseHolidayDate(value, where) {
+  const dt = typeof value === "string" ? DateTime.fromISO(value, { zone: "America/Los_Angeles" }) : null;
+  if (!dt?.isValid || value.length !== 10) {
+    throw new Error(`[CONFIG] holidays.json ${where}: date must be "yyyy-MM-dd" (got ${JSON.stringify(value)})`);
+  }
+  return dt.startOf("day");
 }
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+function loadHolidayCalendars() {
+  const __dirname = dirname(fileURLToPath(import.meta.url));
+  const configPath = resolve(__dirname, "..", "config", "holidays.json");
+  const empty = { calendars: new Map(), coverageCalendars: {}, tierCalendars: {} };
+  if (!existsSync(configPath)) return empty;
+
+  const parsed = JSON.parse(readFileSync(configPath, "utf8"));
+  const calendars = new Map();
+  for (const [calName, entries] of Object.entries(parsed.calendars ?? {})) {
+    if (!Array.isArray(entries)) throw new Error(`[CONFIG] holidays.json calendar "${calName}" must be an array`);
+    const days = new Map();
+    entries.forEach((entry, i) => {
+      const where = `calendars.${calName}[${i}]`;
+      const first = parseHolidayDate(entry.date ?? entry.from, where);
+      const last = entry.to != null ? parseHolidayDate(entry.to, where) : first;
+      if (last < first) throw new Error(`[CONFIG] holidays.json ${where}: "to" is before "from"`);
+      const start = parseHolidayTime(entry.start, "00:00", where);
+      const end = parseHolidayTime(entry.end, "24:00", where);
+      if (start >= end) throw new Error(`[CONFIG] holidays.json ${where}: start must be before end`);
+      for (let d = first; d <= last; d = d.plus({ days: 1 })) {
+        const key = d.toISODate();
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push({ name: entry.name ?? "Holiday", start, end });
+      }
+    });
+    calendars.set(calName, days);
+  }
+
+  // A calendar that has run out of dates silently stops pausing SLA clocks; flag it so
+  // next year's holidays get added.
+  const today = ptNow().toISODate();
+  for (const [calName, days] of calendars) {
+    if (![...days.keys()].some((key) => key >= today)) {
+      log.warn("CONFIG", "Holiday calendar has no dates on or after today", { path: configPath, calendar: calName, today });
+    }
+  }
 
-function ptNow() {
-  return DateTime.now().setZone("America/Los_Angeles").set({ millisecond: 0 });
-}
+  const coverageCalendars = parsed.coverage_calendars ?? {};
+  const tierCalendars = parsed.tier_calendars ?? {};
+  for (const mode of Object.keys(coverageCalendars)) {
+    if (!COVERAGE_MODES.has(mode)) throw new Error(`[CONFIG] holidays.json coverage_calendars: unknown coverage mode "${mode}"`);
+  }
+  for (const [kind, refs] of [["coverage_calendars", coverageCalendars], ["tier_calendars", tierCalendars]]) {
+    for (const [key, calName] of Object.entries(refs)) {
+      if (calName != null && !calendars.has(calName)) {
+        throw new Error(`[CONFIG] holidays.json ${kind}.${key} references unknown calendar "${calName}"`);
+      }
+    }
+  }
 
-function formatDatePt(dtPt) {
-  return dtPt.toFormat("MM/dd/yyyy");
+  log.info("CONFIG", "Loaded holiday calendars", { path: configPath, calendars: calendars.size });
+  return { calendars, coverageCalendars, tierCalendars };
 }
 
-function parseUtcIso(iso) {
-  return iso ? DateTime.fromISO(iso, { zone: "utc" }) : null;
-}
+let HOLIDAYS; // loadConfig()
 
 /**
- * Count elapsed business-hours seconds between createdAtIso and nowDt.
- * Business hours: M-F 09:00-17:00 America/Los_Angeles.
- * Iterates day-by-day; handles tickets created outside business hours.
+ * Holiday calendar that applies to a tier × coverage cell, or null.
+ * Tier reference wins (an explicit null opts the tier out); else the coverage mode's.
  */
-function businessHoursElapsedSeconds(createdAtIso, nowDt) {
+function holidayCalendarFor(tier, coverage) {
+  const calName = Object.hasOwn(HOLIDAYS.tierCalendars, tier)
+    ? HOLIDAYS.tierCalendars[tier]
+    : HOLIDAYS.coverageCalendars[coverage];
+  return calName != null ? HOLIDAYS.calendars.get(calName) ?? null : null;
+}
+
+// Snapshot history (JSONL, one line per run). Dry-run and replay runs are never persisted.
+const HANDOFF_DATA_DIR =
+  process.env.HANDOFF_DATA_DIR || resolve(dirname(fileURLToPath(import.meta.url)), "..", "data");
+const SNAPSHOT_HISTORY_FILE = resolve(HANDOFF_DATA_DIR, "snapshots.jsonl");
+
+// `daemon` bookkeeping: last run per slot (drives catch-up and /healthz).
+const DAEMON_STATE_FILE = resolve(HANDOFF_DATA_DIR, "daemon_state.json");
+
+// Pylon user -> Slack user cache (users.lookupByEmail results, hits and misses).
+const SLACK_USER_CACHE_FILE = resolve(HANDOFF_DATA_DIR, "slack_users.json");
+
+// Latest-public-message status per waiting-on-support issue, keyed by issue ID
+// and reused while the issue's updated_at is unchanged.
+const MESSAGE_STATUS_CACHE_FILE = resolve(HANDOFF_DATA_DIR, "message_status.json");
+
+// Take it / Ack button clicks, one JSON line each (written by `serve`).
+const HANDOFF_ACTIONS_FILE = resolve(HANDOFF_DATA_DIR, "handoff_actions.jsonl");
+
+// Report sections whose assignees can be @mentioned, plus the shift lead.
+// Defaults ping for breached / at-risk work only; low-priority sections stay quiet.
+const DEFAULT_SLACK_MENTIONS = {
+  shift_lead: true,
+  entFrPending: true,
+  frP0P1: true,
+  slaBreached: true,
+  waitP0P1: true,
+  waitP2P3: false,
+  handoff: false,
+};
+
+// Report sections whose thread replies get "Take it" / "Ack" buttons.  Off by
+// default: clicks only work once `serve` is deployed as the Interactivity URL.
+const DEFAULT_SLACK_BUTTONS = {
+  entFrPending: false,
+  frP0P1: false,
+  slaBreached: false,
+  waitP0P1: false,
+};
+
+/**
+ * Slack config (config/slack.json), optional:
+ *
+ *   {
+ *     "user_overrides": { "<pylon user id or email>": "<slack user id>" },  // wins over lookup
+ *     "mentions": { "<shift_lead | section key>": true|false },              // merged over defaults
+ *     "buttons": { "<section key>": true|false }                             // merged over defaults
+ *   }
+ *
+ * Any schema violation aborts the run, like config/sla.json.
+ */
+function loadSlackConfig() {
+  const __dirname = dirname(fileURLToPath(import.meta.url));
+  const configPath = resolve(__dirname, "..", "config", "slack.json");
+  if (!existsSync(configPath)) {
+    return { userOverrides: new Map(), mentions: { ...DEFAULT_SLACK_MENTIONS }, buttons: { ...DEFAULT_SLACK_BUTTONS } };
+  }
+  const config = JSON.parse(readFileSync(configPath, "utf8"));
+  log.info("CONFIG", "Loaded Slack user mapping", { path: configPath });
+
+  const errors = [];
+  const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+  if (!isObj(config)) errors.push("root must be an object");
+  for (const key of Object.keys(isObj(config) ? config : {})) {
+    if (!["user_overrides", "mentions", "buttons"].includes(key)) errors.push(`unknown top-level key "${key}"`);
+  }
+  const overrides = config?.user_overrides ?? {};
+  if (!isObj(overrides)) errors.push(`"user_overrides" must be an object`);
+  else {
+    for (const [ref, slackId] of Object.entries(overrides)) {
+      if (typeof slackId !== "string" || !/^[UW][A-Z0-9]+$/.test(slackId)) {
+        errors.push(`user_overrides.${ref} must be a Slack user ID like "U012AB3CD"`);
+      }
+    }
+  }
+  const toggles = (name, defaults) => {
+    const value = config?.[name] ?? {};
+    if (!isObj(value)) errors.push(`"${name}" must be an object`);
+    else {
+      for (const [key, on] of Object.entries(value)) {
+        if (!Object.hasOwn(defaults, key)) {
+          errors.push(`${name}: unknown key "${key}" (expected ${Object.keys(defaults).join(", ")})`);
+        } else if (typeof on !== "boolean") {
+          errors.push(`${name}.${key} must be true or false`);
+        }
+      }
+    }
+    return { ...defaults, ...(isObj(value) ? value : {}) };
+  };
+  const mentions = toggles("mentions", DEFAULT_SLACK_MENTIONS);
+  const buttons = toggles("buttons", DEFAULT_SLACK_BUTTONS);
+  if (errors.length > 0) {
+    throw new Error(`[CONFIG] Invalid Slack config (${configPath}):\n  - ${errors.join("\n  - ")}`);
+  }
+
+  // Emails are matched case-insensitively; Pylon IDs as-is.
+  const userOverrides = new Map(
+    Object.entries(overrides).map(([ref, slackId]) => [ref.includes("@") ? ref.toLowerCase() : ref, slackId])
+  );
+  return { userOverrides, mentions, buttons };
+}
+
+let SLACK_CONFIG; // loadConfig()
+
+// Saved views (Slack hyperlinks)
+const SLACK_LINKS = {
+  handoffIssues: "https://app.usepylon.com/issues/views/e799d418-120d-4849-bf81-37d5afdba15c",
+  frSlaPendingP0P1: "https://app.usepylon.com/issues/views/039f2559-c7ca-4550-929e-31dc881351d3",
+  frSlaPendingP2P3: "https://app.usepylon.com/issues/views/70565321-570f-4dfe-856a-c767e4042511",
+  entFrPending: "https://app.usepylon.com/support/issues/views/52449f32-d81d-4202-a03b-bd29341e6d26",
+};
+
+// Pylon issue permalink
+function pylonIssueUrl(conversationId) {
+  return `https://app.usepylon.com/issues?conversationID=${conversationId}`;
+}
+
+/** ----------------------------
+ *  HELPERS
+ *  ---------------------------- */
+
+function requireEnv(varName) {
+  const v = process.env[varName];
+  if (!v) throw new Error(`Missing required env var: ${varName}`);
+  return v;
+}
+
+// Pacing/backoff sleeps are pointless when responses come from disk.
+const sleep = (ms) => (PYLON_REPLAY_DIR ? Promise.resolve() : new Promise((r) => setTimeout(r, ms)));
+
+/**
+ * Current instant, honouring --now / HANDOFF_NOW / the replayed run's clock.
+ */
+function nowUtc() {
+  if (pinnedNowIso) {
+    const pinned = DateTime.fromISO(pinnedNowIso, { setZone: true });
+    if (!pinned.isValid) throw new Error(`Invalid pinned now: ${pinnedNowIso}`);
+    return pinned.toUTC();
+  }
+  return DateTime.now().toUTC();
+}
+
+function ptNow() {
+  return nowUtc().setZone("America/Los_Angeles").set({ millisecond: 0 });
+}
+
+function formatDatePt(dtPt) {
+  return dtPt.toFormat("MM/dd/yyyy");
+}
+
+function parseUtcIso(iso) {
+  return iso ? DateTime.fromISO(iso, { zone: "utc" }) : null;
+}
+
+/**
+ * Excluded holiday intervals on dt's calendar day, as PT Intervals ([] if none).
+ */
+function holidayIntervalsOn(holidays, dt) {
+  const entries = holidays?.get(dt.toISODate());
+  if (!entries) return [];
+  const day = dt.startOf("day");
+  // set() rather than plus(): wall-clock times stay right on DST change days
+  const at = (hhmm) => {
+    if (hhmm === "24:00") return day.plus({ days: 1 });
+    const [h, m] = hhmm.split(":").map(Number);
+    return day.set({ hour: h, minute: m });
+  };
+  return entries.map((e) => Interval.fromDateTimes(at(e.start), at(e.end)));
+}
+
+/**
+ * Seconds of [start, end) not covered by the day's holiday intervals.
+ */
+function secondsOutsideHolidays(start, end, holidays) {
+  const exclusions = holidayIntervalsOn(holidays, start);
+  if (exclusions.length === 0) return end.diff(start, "seconds").seconds;
+  return Interval.fromDateTimes(start, end)
+    .difference(...exclusions)
+    .reduce((sum, iv) => sum + iv.length("seconds"), 0);
+}
+
+/**
+ * Count elapsed business-hours seconds between createdAtIso and nowDt.
+ * Business hours: M-F 09:00-17:00 America/Los_Angeles, minus holidays.
+ * Iterates day-by-day; handles tickets created outside business hours.
+ */
+function businessHoursElapsedSeconds(createdAtIso, nowDt, holidays = null) {
   let dt = DateTime.fromISO(createdAtIso, { zone: "America/Los_Angeles" });
   const end = nowDt.setZone("America/Los_Angeles");
   let elapsed = 0;
@@ -222,7 +1217,7 @@ function businessHoursElapsedSeconds(createdAtIso, nowDt) {
       const windowStart = dt < dayStart ? dayStart : dt;
       const windowEnd   = end < dayEnd  ? end       : dayEnd;
       if (windowStart < windowEnd) {
-        elapsed += windowEnd.diff(windowStart, "seconds").seconds;
+        elapsed += secondsOutsideHolidays(windowStart, windowEnd, holidays);
       }
     }
     dt = dt.plus({ days: 1 }).set({ hour: 9, minute: 0, second: 0, millisecond: 0 });
@@ -232,10 +1227,10 @@ function businessHoursElapsedSeconds(createdAtIso, nowDt) {
 
 /**
  * Count elapsed weekday seconds between createdAtIso and nowDt.
- * Weekday hours: M-F 00:00-24:00 America/Los_Angeles (24 h/day, no weekend).
+ * Weekday hours: M-F 00:00-24:00 America/Los_Angeles (24 h/day, no weekend), minus holidays.
  * Used for Pro Plus (24x5) coverage.
  */
-function weekdayHoursElapsedSeconds(createdAtIso, nowDt) {
+function weekdayHoursElapsedSeconds(createdAtIso, nowDt, holidays = null) {
   let dt = DateTime.fromISO(createdAtIso, { zone: "America/Los_Angeles" });
   const end = nowDt.setZone("America/Los_Angeles");
   let elapsed = 0;
@@ -243,27 +1238,45 @@ function weekdayHoursElapsedSeconds(createdAtIso, nowDt) {
     if (dt.weekday <= 5) { // 1=Mon..5=Fri
       const eod = dt.set({ hour: 0, minute: 0, second: 0, millisecond: 0 }).plus({ days: 1 });
       const windowEnd = end < eod ? end : eod;
-      elapsed += windowEnd.diff(dt, "seconds").seconds;
+      elapsed += secondsOutsideHolidays(dt, windowEnd, holidays);
     }
     dt = dt.set({ hour: 0, minute: 0, second: 0, millisecond: 0 }).plus({ days: 1 });
   }
   return elapsed;
 }
 
+/**
+ * Count elapsed calendar seconds, minus holidays (24x7 tiers only lose time
+ * when a holiday calendar is explicitly assigned to them).
+ */
+function calendarElapsedSeconds(createdAtIso, nowDt, holidays = null) {
+  const start = DateTime.fromISO(createdAtIso, { zone: "America/Los_Angeles" });
+  const end = nowDt.setZone("America/Los_Angeles");
+  if (!holidays) return end.diff(start, "seconds").seconds;
+  let elapsed = 0;
+  for (let dt = start; dt < end; dt = dt.startOf("day").plus({ days: 1 })) {
+    const eod = dt.startOf("day").plus({ days: 1 });
+    elapsed += secondsOutsideHolidays(dt, end < eod ? end : eod, holidays);
+  }
+  return elapsed;
+}
+
 /**
  * Dispatch elapsed-time calculation by SLA coverage mode.
  * "biz"      → M-F 09:00-17:00 PT
  * "weekday"  → M-F 00:00-24:00 PT
  * "calendar" → all hours, all days
+ * Holidays from the tier's (or coverage mode's) calendar are excluded.
  */
-function elapsedSeconds(createdAtIso, nowDt, coverage) {
+function elapsedSeconds(createdAtIso, nowDt, coverage, tier = null) {
+  const holidays = holidayCalendarFor(tier, coverage);
   if (coverage === "calendar") {
-    return nowDt.diff(DateTime.fromISO(createdAtIso), "seconds").seconds;
+    return calendarElapsedSeconds(createdAtIso, nowDt, holidays);
   }
   if (coverage === "weekday") {
-    return weekdayHoursElapsedSeconds(createdAtIso, nowDt);
+    return weekdayHoursElapsedSeconds(createdAtIso, nowDt, holidays);
   }
-  return businessHoursElapsedSeconds(createdAtIso, nowDt);
+  return businessHoursElapsedSeconds(createdAtIso, nowDt, holidays);
 }
 
 
@@ -278,6 +1291,11 @@ function getPriority(issue) {
   return issue?.custom_fields?.priority?.value ?? null;
 }
 
+// Support tier slug as keyed in the SLA matrix (dashes -> underscores); "unknown" when unset.
+function getSupportTier(issue) {
+  return (issue?.custom_fields?.support_tier?.values?.[0] ?? "unknown").replace(/-/g, "_");
+}
+
 // Map Pylon priority -> internal P0-P3 display
 function mapPriorityLabel(pylonPriority) {
   switch (pylonPriority) {
@@ -341,185 +1359,488 @@ function isOpenHandoffIssue(issue) {
 }
 
 /**
- * Convert Pylon handoff slugs -> label
- *   america_apac -> APAC
- *   apac_emea    -> EMEA
- *   emea_america -> America
+ * Convert a Pylon hand_off_region slug -> its handoff label from
+ * config/regions.json (e.g. shipped "apac_emea" -> "EMEA", "emea_america"
+ * -> "America").  Unconfigured slugs are shown as-is.
  */
 function handoffLabelFromSlug(slug) {
-  switch (slug) {
-    case "america_apac":
-      return "APAC";
-    case "apac_emea":
-      return "EMEA";
-    case "emea_america":
-      return "America";
-    default:
-      return slug ?? "Unknown";
+  for (const region of Object.values(SLOT_CONFIG)) {
+    if (region.handoffSlug === slug) return region.handoffLabel;
   }
+  return slug ?? "Unknown";
 }
 
 /**
- * Shift window (Pacific Time):
- *   US:   09:00 -> 18:00
- *   EMEA: 01:00 -> 10:00
- *   APAC: 18:00 -> 03:00 (cross-midnight)
+ * Shift window for a configured region, computed in the region's timezone.
+ * Same-day shifts cover today's start -> end.  Shifts that cross midnight
+ * cover the one that started most recently:
+ *   live shift (now >= today's start): today start -> tomorrow end
+ *   completed shift (timer at shift end): yesterday start -> today end
  */
 function getCreatedWindowForSlot(slot, nowPt) {
-  const day = nowPt.startOf("day");
+  const region = SLOT_CONFIG[slot];
+  const nowLocal = nowPt.setZone(region.timezone);
+  const day = nowLocal.startOf("day");
+
+  let startDay = day;
+  if (region.crossesMidnight && nowLocal < day.set(region.start)) startDay = day.minus({ days: 1 });
+  const endDay = region.crossesMidnight ? startDay.plus({ days: 1 }) : startDay;
+
+  const startLocal = startDay.set(region.start);
+  const endLocal = endDay.set(region.end);
+  return { startLocal, endLocal, startUtc: startLocal.toUTC(), endUtc: endLocal.toUTC() };
+}
+
+// Calendar date a shift belongs to (its start, in the region's timezone), e.g. for leave.
+function shiftDateForSlot(slot, nowPt) {
+  return getCreatedWindowForSlot(slot, nowPt).startLocal.toISODate();
+}
+
+function regionLabelFromSlot(slot) {
+  // History may hold slots that have since been removed from config/regions.json.
+  return SLOT_CONFIG[slot]?.label ?? String(slot).toUpperCase();
+}
+
+/** ----------------------------
+ *  PYLON FIXTURES (record / replay)
+ *  ---------------------------- */
+
+/**
+ * Fixture layout (one directory per run):
+ *   <dir>/meta.json          { slot, now, recordedAt }
+ *   <dir>/calls/00001.json   { key, request: { method, path, body }, response: { status, headers, body } }
+ *
+ * `key` hashes method + path + request body, so replay matches requests by content
+ * (cursor included) rather than by arrival order — scans run in parallel and their
+ * interleaving differs between runs.  Repeated requests with the same key (e.g. a
+ * 429 followed by a retry) are served back in recorded order.
+ */
+let fixtureSeq = 0;
+let replayIndex = null; // Map<key, Array<response>>
 
-  const t01 = day.set({ hour: 1 });
-  const t03 = day.set({ hour: 3 });
-  const t09 = day.set({ hour: 9 });
-  const t10 = day.set({ hour: 10 });
-  const t18 = day.set({ hour: 18 });
+function fixtureKey(method, path, body) {
+  return createHash("sha1").update(`${method} ${path} ${body ?? ""}`).digest("hex");
+}
+
+function readFixtureMeta(dir) {
+  const metaPath = resolve(dir, "meta.json");
+  if (!existsSync(metaPath)) throw new Error(`[REPLAY] No meta.json in fixture directory ${dir}`);
+  return JSON.parse(readFileSync(metaPath, "utf8"));
+}
 
-  if (slot === "us") {
-    const startPt = t09;
-    const endPt = t18;
-    return { startPt, endPt, startUtc: startPt.toUTC(), endUtc: endPt.toUTC() };
+function initFixtureRecording({ slot }) {
+  // Start from an empty calls/: replay loads every file in it, so calls left over from an
+  // earlier recording would be served (or shadow this run's) under the same key.
+  const callsDir = resolve(PYLON_RECORD_DIR, "calls");
+  if (existsSync(callsDir)) {
+    const stale = readdirSync(callsDir).length;
+    rmSync(callsDir, { recursive: true, force: true });
+    if (stale > 0) log.info("RECORD", "Cleared previous recording", { dir: callsDir, files: stale });
   }
+  mkdirSync(callsDir, { recursive: true });
+  const meta = { slot, now: nowUtc().toISO(), recordedAt: DateTime.now().toUTC().toISO() };
+  writeFileSync(resolve(PYLON_RECORD_DIR, "meta.json"), JSON.stringify(meta, null, 2), "utf8");
+  log.info("RECORD", "Recording Pylon calls", { dir: PYLON_RECORD_DIR, now: meta.now });
+}
 
-  if (slot === "emea") {
-    const startPt = t01;
-    const endPt = t10;
-    return { startPt, endPt, startUtc: startPt.toUTC(), endUtc: endPt.toUTC() };
+function loadReplayIndex() {
+  if (replayIndex) return replayIndex;
+  const callsDir = resolve(PYLON_REPLAY_DIR, "calls");
+  const files = readdirSync(callsDir).filter((f) => f.endsWith(".json")).sort();
+  replayIndex = new Map();
+  for (const file of files) {
+    const call = JSON.parse(readFileSync(resolve(callsDir, file), "utf8"));
+    if (!replayIndex.has(call.key)) replayIndex.set(call.key, []);
+    replayIndex.get(call.key).push(call.response);
   }
+  log.info("REPLAY", "Loaded recorded Pylon calls", { dir: PYLON_REPLAY_DIR, calls: files.length });
+  return replayIndex;
+}
+
+function recordPylonCall({ method, path, body, status, headers, text }) {
+  fixtureSeq += 1;
+  const call = {
+    key: fixtureKey(method, path, body),
+    request: { method, path, body: body ?? null },
+    response: { status, headers, body: text },
+  };
+  const file = resolve(PYLON_RECORD_DIR, "calls", `${String(fixtureSeq).padStart(5, "0")}.json`);
+  writeFileSync(file, JSON.stringify(call, null, 2), "utf8");
+}
 
-  // apac: 18:00 prev day -> 03:00 today (cron at 3 AM)
-  // If running manually during the live APAC shift (hour >= 18), anchor forward instead:
-  //   live shift:      today 18:00 -> tomorrow 03:00
-  //   completed shift: yesterday 18:00 -> today 03:00
-  {
-    const inLiveShift = nowPt.hour >= 18;
-    const startPt = inLiveShift ? t18 : t18.minus({ days: 1 });
-    const endPt = inLiveShift ? t03.plus({ days: 1 }) : t03;
-    return { startPt, endPt, startUtc: startPt.toUTC(), endUtc: endPt.toUTC() };
+function replayPylonCall({ method, path, body }) {
+  const queue = loadReplayIndex().get(fixtureKey(method, path, body));
+  if (!queue || queue.length === 0) {
+    throw new Error(`[REPLAY] No recorded response for ${method} ${path} ${body ?? ""}`.trim());
   }
+  // Keep the last response around so an extra retry doesn't blow up the replay.
+  const recorded = queue.length > 1 ? queue.shift() : queue[0];
+  return new Response(recorded.body, { status: recorded.status, headers: recorded.headers });
 }
 
-function regionLabelFromSlot(slot) {
-  if (slot === "us") return "US";
-  if (slot === "emea") return "EMEA";
-  return "APAC";
+/**
+ * Single entry point for every Pylon HTTP call.  Transparently records or
+ * replays when a fixture directory is configured; otherwise a plain fetch.
+ */
+async function pylonFetch(path, init = {}) {
+  const method = init.method ?? "GET";
+  const body = typeof init.body === "string" ? init.body : null;
+
+  const endpoint = pylonEndpointLabel(method, path);
+
+  if (PYLON_REPLAY_DIR) return countPylonCall(endpoint, replayPylonCall({ method, path, body }));
+
+  let res;
+  try {
+    res = countPylonCall(endpoint, await fetch(`${PYLON_API_BASE}${path}`, init));
+  } catch (err) {
+    incCounter("handoff_pylon_requests_total", { endpoint, status: "error" });
+    throw err;
+  }
+  if (!PYLON_RECORD_DIR) return res;
+
+  const text = await res.text();
+  const headers = Object.fromEntries(res.headers.entries());
+  recordPylonCall({ method, path, body, status: res.status, headers, text });
+  return new Response(text, { status: res.status, headers });
 }
 
 /** ----------------------------
- *  PYLON API
+ *  METRICS (Prometheus)
  *  ---------------------------- */
 
-async function pylonSearch({ token, limit = 200, cursor = null, filter = null }) {
-  const path = "/issues/search";
-  const body = { limit };
-  if (cursor) body.cursor = cursor;
-  if (filter) body.filter = filter;
+/**
+ * In-process registry rendered in the Prometheus text format: served on
+ * GET /metrics by `serve` / `daemon`, and written per region to
+ * METRICS_TEXTFILE_DIR after one-shot runs (node_exporter textfile collector).
+ * Gauges describe each region's latest run; counters are process totals.
+ */
+const METRICS_TEXTFILE_DIR = process.env.METRICS_TEXTFILE_DIR || null;
+
+const METRIC_DEFS = {
+  handoff_bucket_issues: ["gauge", "Issues in each snapshot bucket at the region's latest run, by support tier"],
+  handoff_scan_duration_seconds: ["gauge", "Wall time of each scan at the region's latest run"],
+  handoff_scan_pages: ["gauge", "Search pages fetched by each scan at the region's latest run"],
+  handoff_scan_truncations_total: ["counter", "Scans stopped early at MAX_PAGES"],
+  handoff_run_duration_seconds: ["gauge", "Wall time of the region's latest handoff run"],
+  handoff_last_success_timestamp_seconds: ["gauge", "Unix time the region's latest handoff run finished"],
+  handoff_pylon_requests_total: ["counter", "Pylon API calls by endpoint and HTTP status (\"error\" = no response)"],
+  handoff_pylon_rate_limited_total: ["counter", "Pylon 429 responses by endpoint"],
+  handoff_pylon_retries_total: ["counter", "Pylon requests retried, by endpoint and reason (429, 502-504, timeout, network)"],
+};
 
-  const maxAttempts = 8;
-  let attempt = 0;
+const metricSeries = new Map(); // name -> Map<labelKey, { labels, value }>
 
-  while (true) {
-    attempt += 1;
-
-    const res = await fetch(`${PYLON_API_BASE}${path}`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      },
-      body: JSON.stringify(body),
-    });
+function metricSeriesFor(name, labels) {
+  if (!METRIC_DEFS[name]) throw new Error(`[METRICS] Unknown metric ${name}`);
+  if (!metricSeries.has(name)) metricSeries.set(name, new Map());
+  const series = metricSeries.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  if (!series.has(key)) series.set(key, { labels, value: 0 });
+  return series.get(key);
+}
 
-    if (res.status === 429) {
-      const retryAfterHeader = res.headers.get("retry-after");
-      const retryAfterMs = retryAfterHeader
-        ? Number(retryAfterHeader) * 1000
-        : Math.min(30000, 750 * 2 ** (attempt - 1));
+function setGauge(name, labels, value) {
+  metricSeriesFor(name, labels).value = value;
+}
 
-      if (attempt >= maxAttempts) {
-        const text = await res.text();
-        throw new Error(`Pylon rate limit (429) after ${attempt} attempts: ${text}`);
-      }
+function incCounter(name, labels, by = 1) {
+  metricSeriesFor(name, labels).value += by;
+}
 
-      await sleep(retryAfterMs);
-      continue;
-    }
+// Drop a metric's series whose labels include every pair in `match`, so a
+// tier that vanished from the queue doesn't keep reporting its last count.
+function clearMetricSeries(name, match) {
+  const series = metricSeries.get(name);
+  if (!series) return;
+  for (const [key, { labels }] of series) {
+    if (Object.entries(match).every(([k, v]) => labels[k] === v)) series.delete(key);
+  }
+}
 
-    // Retry transient server errors with exponential backoff.
-    if (res.status === 502 || res.status === 503 || res.status === 504) {
-      if (attempt >= maxAttempts) {
-        const text = await res.text();
-        throw new Error(`Pylon server error (${res.status}) after ${attempt} attempts: ${text.slice(0, 200)}`);
-      }
-      const retryMs = Math.min(30000, 1000 * 2 ** (attempt - 1));
-      console.warn(`[PYLON] ${res.status} on attempt ${attempt}; retrying in ${retryMs}ms`);
-      await sleep(retryMs);
-      continue;
-    }
+function formatMetricLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
 
-    const text = await res.text();
-    let json;
-    try {
-      json = JSON.parse(text);
-    } catch {
-      throw new Error(`Pylon returned non-JSON (${res.status}): ${text.slice(0, 200)}`);
+/**
+ * Prometheus text exposition of every metric.  With `region`, only that
+ * region's series are kept and process-wide ones (Pylon calls) are labelled
+ * with it — one-shot runs write one file per region, and node_exporter
+ * rejects the same series appearing in two files.
+ */
+function renderMetrics({ region = null } = {}) {
+  const lines = [];
+  for (const [name, [type, help]] of Object.entries(METRIC_DEFS)) {
+    const series = [...(metricSeries.get(name)?.values() ?? [])]
+      .filter(({ labels }) => region == null || labels.region == null || labels.region === region)
+      .map(({ labels, value }) => ({ labels: region != null ? { region, ...labels } : labels, value }));
+    if (series.length === 0) continue;
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { labels, value } of series) lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// "/issues/<id>/messages" -> "GET /issues/:id/messages", so label values stay bounded.
+function pylonEndpointLabel(method, path) {
+  const route = path.split("?")[0].replace(/^\/(issues|accounts)\/(?!search$)[^/]+/, "/$1/:id");
+  return `${method} ${route}`;
+}
+
+function countPylonCall(endpoint, res) {
+  incCounter("handoff_pylon_requests_total", { endpoint, status: String(res.status) });
+  if (res.status === 429) incCounter("handoff_pylon_rate_limited_total", { endpoint });
+  return res;
+}
+
+/** Run one scan under its own log context, storing its wall time in seconds as timings[scan]. */
+async function runScan(timings, scan, fn) {
+  const started = performance.now();
+  try {
+    return await withLogContext({ scan }, fn);
+  } finally {
+    timings[scan] = (performance.now() - started) / 1000;
+  }
+}
+
+/**
+ * Record one region's run: bucket sizes by tier (every configured tier, so
+ * empty ones read 0) and per-scan duration, pages and MAX_PAGES truncation.
+ * Scheduled / CLI runs only, alongside the run duration and last-success gauges.
+ */
+function recordRunMetrics({ slot, bucketIssueIds, issueTiers, scans }) {
+  const knownTiers = Object.keys(SLA_CONFIG.displayNames);
+  clearMetricSeries("handoff_bucket_issues", { region: slot });
+  for (const [bucket, ids] of Object.entries(bucketIssueIds)) {
+    const byTier = Object.fromEntries(knownTiers.map((tier) => [tier, 0]));
+    for (const id of ids) {
+      const tier = issueTiers.get(id) ?? "unknown";
+      byTier[tier] = (byTier[tier] ?? 0) + 1;
+    }
+    for (const [tier, count] of Object.entries(byTier)) {
+      setGauge("handoff_bucket_issues", { region: slot, bucket, tier }, count);
     }
+  }
+  for (const [scan, { seconds, pages, truncated }] of Object.entries(scans)) {
+    setGauge("handoff_scan_duration_seconds", { region: slot, scan }, seconds);
+    if (pages != null) setGauge("handoff_scan_pages", { region: slot, scan }, pages);
+    if (truncated) incCounter("handoff_scan_truncations_total", { region: slot, scan });
+  }
+}
+
+/**
+ * Write this process's metrics for `slot` to METRICS_TEXTFILE_DIR/handoff_<slot>.prom.
+ * Written to a temp file and renamed so node_exporter never reads a partial file.
+ */
+function writeMetricsTextfile(slot) {
+  if (!METRICS_TEXTFILE_DIR) return;
+  mkdirSync(METRICS_TEXTFILE_DIR, { recursive: true });
+  const file = resolve(METRICS_TEXTFILE_DIR, `handoff_${slot}.prom`);
+  writeFileSync(`${file}.${process.pid}.tmp`, renderMetrics({ region: slot }), "utf8");
+  renameSync(`${file}.${process.pid}.tmp`, file);
+  log.info("METRICS", "Wrote textfile", { file });
+}
+
+/** ----------------------------
+ *  PYLON API
+ *  ---------------------------- */
+
+/**
+ * Pylon client: every Pylon request goes through pylonRequest(), which
+ *   - takes a token from one bucket shared by all callers — scans B, C and D
+ *     run in parallel and share Pylon's rate limit, so they queue here
+ *     instead of tripping 429s for each other;
+ *   - retries 429 (after retry-after, which also pauses the whole bucket),
+ *     502/503/504, timeouts and network errors, with one backoff policy;
+ *   - aborts any single attempt after PYLON_TIMEOUT_MS;
+ *   - keeps per-endpoint stats (see pylonStatsSince) next to the metrics.
+ * Replay serves fixtures, so it skips the bucket.
+ */
+const PYLON_RATE_LIMIT = Number(process.env.PYLON_RATE_LIMIT ?? 5); // requests per second
+const PYLON_RATE_BURST = Number(process.env.PYLON_RATE_BURST ?? PYLON_RATE_LIMIT);
+const PYLON_TIMEOUT_MS = Number(process.env.PYLON_TIMEOUT_MS ?? 30000);
+const PYLON_MAX_ATTEMPTS = Number(process.env.PYLON_MAX_ATTEMPTS ?? 6);
+for (const [name, value] of Object.entries({ PYLON_RATE_LIMIT, PYLON_RATE_BURST, PYLON_TIMEOUT_MS, PYLON_MAX_ATTEMPTS })) {
+  if (!(value > 0)) ENV_ERRORS.push(`${name} must be a positive number (got "${process.env[name]}")`);
+}
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+const pylonBucket = { tokens: PYLON_RATE_BURST, refilledAt: performance.now(), pausedUntil: 0, queue: Promise.resolve() };
 
-    if (!res.ok)
-      throw new Error(`Pylon /issues/search failed (${res.status}): ${JSON.stringify(json)}`);
-    if (json.errors?.length) throw new Error(`Pylon error: ${JSON.stringify(json)}`);
+// endpoint label -> { requests, retries, rateLimited, timeouts, failures, ms, throttledMs }
+const pylonStats = new Map();
 
-    return json;
+function pylonStatsFor(endpoint) {
+  if (!pylonStats.has(endpoint)) {
+    pylonStats.set(endpoint, { requests: 0, retries: 0, rateLimited: 0, timeouts: 0, failures: 0, ms: 0, throttledMs: 0 });
   }
+  return pylonStats.get(endpoint);
+}
+
+function copyPylonStats() {
+  return new Map([...pylonStats].map(([endpoint, stats]) => [endpoint, { ...stats }]));
 }
 
 /**
- * Fetch the display name for a Pylon account (company name).
- * Returns null on failure — callers should fall back to tier label.
- * Includes timeout (10s) and retry logic for 429 rate limits.
+ * Per-endpoint stats accumulated since `before` (a copyPylonStats() result),
+ * with ms rounded.  Daemon runs that overlap count each other's calls too.
  */
-async function fetchAccountName({ pylonToken, accountId }) {
-  if (!accountId) return null;
+function pylonStatsSince(before) {
+  const out = {};
+  for (const [endpoint, stats] of pylonStats) {
+    const base = before.get(endpoint) ?? {};
+    const delta = Object.fromEntries(Object.entries(stats).map(([k, v]) => [k, Math.round(v - (base[k] ?? 0))]));
+    if (delta.requests > 0) out[endpoint] = delta;
+  }
+  return out;
+}
+
+/** Wait for a token from the shared bucket; waiters are served in arrival order. */
+function takePylonToken() {
+  const turn = pylonBucket.queue.then(async () => {
+    const pausedMs = pylonBucket.pausedUntil - performance.now();
+    if (pausedMs > 0) await sleep(pausedMs);
+    const refill = () => {
+      const now = performance.now();
+      pylonBucket.tokens = Math.min(PYLON_RATE_BURST, pylonBucket.tokens + ((now - pylonBucket.refilledAt) / 1000) * PYLON_RATE_LIMIT);
+      pylonBucket.refilledAt = now;
+    };
+    refill();
+    if (pylonBucket.tokens < 1) {
+      await sleep(((1 - pylonBucket.tokens) / PYLON_RATE_LIMIT) * 1000);
+      refill();
+    }
+    pylonBucket.tokens -= 1;
+  });
+  pylonBucket.queue = turn;
+  return turn;
+}
 
-  const maxAttempts = 3;
-  let attempt = 0;
+// retry-after is seconds or an HTTP date; null when absent or unparsable.
+function parseRetryAfterMs(header) {
+  if (header == null || header === "") return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
 
-  while (true) {
-    attempt += 1;
+/**
+ * One Pylon API call with the shared limiter, retries and timeout.
+ * Resolves to { status, ok, json, text } for the last response — including
+ * a final 429/5xx once attempts run out, so callers keep their own policy
+ * for failures (throw, skip, or return partial results).  json is null when
+ * the body isn't JSON.  Throws only when no response arrived at all.
+ * onRateLimited() is called on every 429, for callers that adapt their pace.
+ */
+async function pylonRequest(path, { token, method = "GET", body = null, onRateLimited = null }) {
+  const endpoint = pylonEndpointLabel(method, path);
+  const stats = pylonStatsFor(endpoint);
+  const headers = { Authorization: `Bearer ${token}`, Accept: "application/json" };
+  if (body != null) headers["Content-Type"] = "application/json";
+
+  for (let attempt = 1; ; attempt += 1) {
+    if (!PYLON_REPLAY_DIR) {
+      const queuedAt = performance.now();
+      await takePylonToken();
+      stats.throttledMs += performance.now() - queuedAt;
+    }
 
+    stats.requests += 1;
+    const startedAt = performance.now();
+    let res = null;
+    let failure = null;
     try {
-      const res = await fetch(`${PYLON_API_BASE}/accounts/${accountId}`, {
-        headers: { Authorization: `Bearer ${pylonToken}`, Accept: "application/json" },
-        signal: AbortSignal.timeout(10000), // 10s timeout
+      res = await pylonFetch(path, {
+        method,
+        headers,
+        ...(body != null ? { body: JSON.stringify(body) } : {}),
+        signal: AbortSignal.timeout(PYLON_TIMEOUT_MS),
       });
+    } catch (err) {
+      failure = err;
+    }
 
+    let retryReason = null;
+    let waitMs = Math.min(30000, 750 * 2 ** (attempt - 1));
+    if (failure) {
+      retryReason = failure.name === "TimeoutError" ? "timeout" : "network";
+      if (retryReason === "timeout") stats.timeouts += 1;
+    } else if (RETRYABLE_STATUSES.has(res.status)) {
+      retryReason = String(res.status);
       if (res.status === 429) {
-        if (attempt >= maxAttempts) {
-          console.warn(`[ACCOUNT] 429 after ${maxAttempts} attempts for account ${accountId}; returning null`);
-          return null;
-        }
-        const retryAfterHeader = res.headers.get("retry-after");
-        const retryAfterMs = retryAfterHeader
-          ? Number(retryAfterHeader) * 1000
-          : Math.min(5000, 500 * 2 ** (attempt - 1));
-
-        await sleep(retryAfterMs);
-        continue;
+        stats.rateLimited += 1;
+        onRateLimited?.();
+        const retryAfterMs = parseRetryAfterMs(res.headers.get("retry-after"));
+        if (retryAfterMs != null) waitMs = Math.min(60000, retryAfterMs);
+        // Everyone shares the limit, so everyone waits.
+        pylonBucket.pausedUntil = Math.max(pylonBucket.pausedUntil, performance.now() + waitMs);
       }
+    }
 
-      if (!res.ok) {
-        console.warn(`[ACCOUNT] Non-OK response (${res.status}) for account ${accountId}`);
-        return null;
+    if (!retryReason || attempt >= PYLON_MAX_ATTEMPTS) {
+      if (failure) {
+        stats.failures += 1;
+        stats.ms += performance.now() - startedAt;
+        throw new Error(`Pylon ${endpoint} failed after ${attempt} attempt(s): ${failure.message}`);
       }
-      const json = await res.json();
-      // Pylon REST API wraps single-resource responses in { data: { ... } }
-      const name = json?.data?.name ?? json?.name ?? null;
-      console.log(`[ACCOUNT] Resolved account ${accountId} → ${name ?? "(null)"}`);
-      return name;
-    } catch (err) {
-      console.warn(`[ACCOUNT] Fetch failed for account ${accountId}: ${err?.message || err}`);
+      const text = await res.text();
+      stats.ms += performance.now() - startedAt;
+      if (!res.ok) stats.failures += 1;
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        // callers decide what a non-JSON body means
+      }
+      return { status: res.status, ok: res.ok, json, text };
+    }
+
+    stats.ms += performance.now() - startedAt;
+    stats.retries += 1;
+    incCounter("handoff_pylon_retries_total", { endpoint, reason: retryReason });
+    (retryReason === "429" ? log.info : log.warn)("PYLON", "Retrying", { endpoint, attempt, reason: retryReason, waitMs });
+    await res?.body?.cancel();
+    await sleep(waitMs);
+  }
+}
+
+async function pylonSearch({ token, limit = 200, cursor = null, filter = null }) {
+  const body = { limit };
+  if (cursor) body.cursor = cursor;
+  if (filter) body.filter = filter;
+
+  const { status, ok, json, text } = await pylonRequest("/issues/search", { token, method: "POST", body });
+  if (status === 429) throw new Error(`Pylon rate limit (429) after ${PYLON_MAX_ATTEMPTS} attempts: ${text.slice(0, 200)}`);
+  if (json == null) throw new Error(`Pylon returned non-JSON (${status}): ${text.slice(0, 200)}`);
+  if (!ok) throw new Error(`Pylon /issues/search failed (${status}): ${JSON.stringify(json)}`);
+  if (json.errors?.length) throw new Error(`Pylon error: ${JSON.stringify(json)}`);
+  return json;
+}
+
+/**
+ * Fetch the display name for a Pylon account (company name).
+ * Returns null on failure — callers should fall back to tier label.
+ */
+async function fetchAccountName({ pylonToken, accountId }) {
+  if (!accountId) return null;
+
+  try {
+    const { status, ok, json } = await pylonRequest(`/accounts/${accountId}`, { token: pylonToken });
+    if (!ok || json == null) {
+      log.warn("ACCOUNT", "Non-OK response", { accountId, status });
       return null;
     }
+    // Pylon REST API wraps single-resource responses in { data: { ... } }
+    const name = json?.data?.name ?? json?.name ?? null;
+    log.debug("ACCOUNT", "Resolved account", { accountId, name });
+    return name;
+  } catch (err) {
+    log.warn("ACCOUNT", "Fetch failed", { accountId, ...errorFields(err) });
+    return null;
   }
 }
 
@@ -561,75 +1882,188 @@ function parseMsgTime(msg) {
  *
  * Returns { isCustomerLast: boolean, latestPublicMsgTime: DateTime|null }
  * Returns null on fetch failure (per-issue error handling — does not crash the run).
+ * onRateLimited is passed to pylonRequest (adaptive concurrency in Pass C).
  */
-async function fetchWaitingOnSupportStatus({ pylonToken, issueId }) {
-  const maxAttempts = 4;
-  let attempt = 0;
-
-  while (true) {
-    attempt += 1;
-
-    const res = await fetch(`${PYLON_API_BASE}/issues/${issueId}/messages`, {
-      method: "GET",
-      headers: {
-        Authorization: `Bearer ${pylonToken}`,
-        Accept: "application/json",
-      },
-    });
-
-    if (res.status === 429) {
-      if (attempt >= maxAttempts) {
-        console.warn(`[MESSAGES] 429 after ${maxAttempts} attempts for issue ${issueId}; skipping`);
-        return null;
-      }
-      const retryAfterMs = Math.min(30000, 750 * 2 ** (attempt - 1));
-      await sleep(retryAfterMs);
-      continue;
-    }
+async function fetchWaitingOnSupportStatus({ pylonToken, issueId, onRateLimited = null }) {
+  const { status, ok, json, text } = await pylonRequest(`/issues/${issueId}/messages`, { token: pylonToken, onRateLimited });
 
-    const text = await res.text();
-    let json;
-    try {
-      json = JSON.parse(text);
-    } catch {
-      console.warn(`[MESSAGES] Non-JSON response for issue ${issueId}: ${text.slice(0, 200)}`);
-      return null;
-    }
-
-    if (!res.ok) {
-      console.warn(`[MESSAGES] Failed for issue ${issueId} (${res.status})`);
-      return null;
-    }
+  if (status === 429) {
+    log.warn("MESSAGES", "Rate limited on every attempt; skipping", { issueId, attempts: PYLON_MAX_ATTEMPTS });
+    return null;
+  }
+  if (json == null) {
+    log.warn("MESSAGES", "Non-JSON response", { issueId, body: text.slice(0, 200) });
+    return null;
+  }
+  if (!ok) {
+    log.warn("MESSAGES", "Request failed", { issueId, status });
+    return null;
+  }
 
-    const messages = Array.isArray(json.data) ? json.data : [];
+  const messages = Array.isArray(json.data) ? json.data : [];
 
-    // Find the latest PUBLIC message (ignore private/internal notes)
-    let latestPublicMsg = null;
-    let latestPublicMsgTime = null;
-    for (const msg of messages) {
-      if (msg.is_private) continue; // skip private notes
+  // Find the latest PUBLIC message (ignore private/internal notes)
+  let latestPublicMsg = null;
+  let latestPublicMsgTime = null;
+  for (const msg of messages) {
+    if (msg.is_private) continue; // skip private notes
 
-      const msgTime = parseMsgTime(msg);
-      if (msgTime && (!latestPublicMsgTime || msgTime > latestPublicMsgTime)) {
-        latestPublicMsgTime = msgTime;
-        latestPublicMsg = msg;
-      }
+    const msgTime = parseMsgTime(msg);
+    if (msgTime && (!latestPublicMsgTime || msgTime > latestPublicMsgTime)) {
+      latestPublicMsgTime = msgTime;
+      latestPublicMsg = msg;
     }
+  }
 
-    // If no public messages at all, we can't determine — skip
-    if (!latestPublicMsg) {
-      return { isCustomerLast: false, latestPublicMsgTime: null };
-    }
+  // If no public messages at all, we can't determine — skip
+  if (!latestPublicMsg) {
+    return { isCustomerLast: false, latestPublicMsgTime: null };
+  }
 
-    // Check if the latest public speaker is a customer
-    const isCustomerLast = isCustomerAuthor(latestPublicMsg);
+  // Check if the latest public speaker is a customer
+  const isCustomerLast = isCustomerAuthor(latestPublicMsg);
 
-    return { isCustomerLast, latestPublicMsgTime };
-  }
+  return { isCustomerLast, latestPublicMsgTime };
 }
 
 /**
- * Fetch all "Issue Made Into Ticket" audit-log events within `lookbackDays`.
+ * Message status for Pass C candidates.  The messages API is one call per
+ * issue, so it is the bulk of a run's Pylon traffic:
+ *   - up to PYLON_MESSAGES_CONCURRENCY fetches are in flight at once (all
+ *     still paced by the shared bucket); a 429 halves the window and every
+ *     <window> clean fetches in a row widen it by one again, up to the cap;
+ *   - results are cached in HANDOFF_DATA_DIR/message_status.json keyed by
+ *     issue ID + updated_at — any new message bumps updated_at, so an
+ *     unchanged issue reuses its last answer instead of refetching.
+ * Failed fetches are never cached.  Record/replay always fetch, so fixtures
+ * stay complete.
+ */
+const PYLON_MESSAGES_CONCURRENCY = Number(process.env.PYLON_MESSAGES_CONCURRENCY ?? 4);
+const PYLON_MESSAGES_DELAY_MS = Number(process.env.PYLON_MESSAGES_DELAY_MS ?? 0); // per-fetch pause, on top of the bucket
+if (!Number.isInteger(PYLON_MESSAGES_CONCURRENCY) || PYLON_MESSAGES_CONCURRENCY < 1) {
+  ENV_ERRORS.push(`PYLON_MESSAGES_CONCURRENCY must be a positive integer (got "${process.env.PYLON_MESSAGES_CONCURRENCY}")`);
+}
+if (!(PYLON_MESSAGES_DELAY_MS >= 0)) {
+  ENV_ERRORS.push(`PYLON_MESSAGES_DELAY_MS must be a non-negative number (got "${process.env.PYLON_MESSAGES_DELAY_MS}")`);
+}
+const MESSAGE_STATUS_CACHE_ENABLED =
+  process.env.PYLON_MESSAGES_CACHE !== "0" && !PYLON_RECORD_DIR && !PYLON_REPLAY_DIR;
+
+function readMessageStatusCache() {
+  if (!existsSync(MESSAGE_STATUS_CACHE_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(MESSAGE_STATUS_CACHE_FILE, "utf8"));
+  } catch {
+    log.warn("MESSAGES", "Ignoring unreadable message status cache", { file: MESSAGE_STATUS_CACHE_FILE });
+    return {};
+  }
+}
+
+/**
+ * Resolve fetchWaitingOnSupportStatus() for every candidate
+ * (Map<issueId, { updatedAt, ... }>), from the cache where updated_at still
+ * matches and from the messages API otherwise.
+ * Returns Map<issueId, { isCustomerLast, latestPublicMsgTime }>; issues whose
+ * fetch failed are left out (not flagged this run).
+ */
+async function resolveWaitingOnSupportStatuses({ pylonToken, candidates }) {
+  const statuses = new Map();
+  const cache = MESSAGE_STATUS_CACHE_ENABLED ? readMessageStatusCache() : {};
+  const nextCache = {};
+  const toFetch = [];
+  for (const [issueId, candidate] of candidates) {
+    const cached = cache[issueId];
+    if (candidate.updatedAt && cached?.updatedAt === candidate.updatedAt) {
+      statuses.set(issueId, {
+        isCustomerLast: cached.isCustomerLast,
+        latestPublicMsgTime: parseUtcIso(cached.latestPublicMsgAt),
+      });
+      nextCache[issueId] = cached;
+    } else {
+      toFetch.push(issueId);
+    }
+  }
+
+  let limit = PYLON_MESSAGES_CONCURRENCY;
+  let cleanStreak = 0;
+  let completed = 0;
+  let lastCutAt = -Infinity;
+  const onRateLimited = () => {
+    cleanStreak = 0;
+    // One cut per window's worth of completions: the fetches already in
+    // flight when the first 429 hit tend to get one too.
+    if (limit === 1 || completed < lastCutAt + limit) return;
+    limit = Math.max(1, Math.floor(limit / 2));
+    lastCutAt = completed;
+    log.info("MESSAGES", "Rate limited; lowering concurrency", { concurrency: limit });
+  };
+
+  const fetchOne = async (issueId) => {
+    let rateLimited = false;
+    try {
+      const status = await fetchWaitingOnSupportStatus({
+        pylonToken,
+        issueId,
+        onRateLimited: () => {
+          rateLimited = true;
+          onRateLimited();
+        },
+      });
+      if (status) {
+        statuses.set(issueId, status);
+        nextCache[issueId] = {
+          updatedAt: candidates.get(issueId).updatedAt,
+          isCustomerLast: status.isCustomerLast,
+          latestPublicMsgAt: status.latestPublicMsgTime?.toISO() ?? null,
+          checkedAt: nowUtc().toISO(),
+        };
+      }
+    } catch (err) {
+      // Per-issue error handling: log and continue, don't abort the run
+      log.warn("MESSAGES", "Unexpected error", { issueId, ...errorFields(err) });
+    }
+    completed += 1;
+    if (!rateLimited && ++cleanStreak >= limit && limit < PYLON_MESSAGES_CONCURRENCY) {
+      limit += 1;
+      cleanStreak = 0;
+      log.debug("MESSAGES", "Raising concurrency", { concurrency: limit });
+    }
+    if (PYLON_MESSAGES_DELAY_MS > 0) await sleep(PYLON_MESSAGES_DELAY_MS);
+  };
+
+  let next = 0;
+  let inFlight = 0;
+  await new Promise((done) => {
+    const fill = () => {
+      while (inFlight < limit && next < toFetch.length) {
+        inFlight += 1;
+        fetchOne(toFetch[next++]).then(() => {
+          inFlight -= 1;
+          fill();
+        });
+      }
+      if (inFlight === 0) done();
+    };
+    fill();
+  });
+
+  if (MESSAGE_STATUS_CACHE_ENABLED && !DRY_RUN) {
+    // Rewritten from this run's candidates only, so closed / reassigned issues drop out.
+    // A dry run reads the cache but leaves it as the last real run wrote it.
+    mkdirSync(HANDOFF_DATA_DIR, { recursive: true });
+    writeFileSync(MESSAGE_STATUS_CACHE_FILE, `${JSON.stringify(nextCache, null, 2)}\n`, "utf8");
+  }
+  log.info("MESSAGES", "Resolved message status", {
+    candidates: candidates.size,
+    cached: candidates.size - toFetch.length,
+    fetched: toFetch.length,
+    failed: candidates.size - statuses.size,
+  });
+  return statuses;
+}
+
+/**
+ * Fetch all "Issue Made Into Ticket" audit-log events within `lookbackDays`.
  *
  * Returns a Map<issueId, actionHappenedAtIso> so that scanQueueMetrics can
  * use the conversion timestamp as the SLA clock start for enterprise issues
@@ -644,14 +2078,13 @@ async function fetchWaitingOnSupportStatus({ pylonToken, issueId }) {
 async function fetchTicketConversionTimes({ pylonToken, lookbackDays }) {
   // Pylon audit-log API only accepts a single flat filter (no conjunctions).
   // Filter by action server-side; apply time cutoff client-side with early-stop.
-  const cutoffDt = DateTime.now().minus({ days: lookbackDays }).toUTC();
+  const cutoffDt = nowUtc().minus({ days: lookbackDays });
 
   const conversionMap = new Map(); // issueId -> actionHappenedAtIso
   let cursor = null;
   const seenCursors = new Set();
   let page = 0;
   const MAX_PAGES = 50; // safety cap — ticket conversions are infrequent
-  const maxAttempts = 5;
 
   while (true) {
     page += 1;
@@ -662,47 +2095,18 @@ async function fetchTicketConversionTimes({ pylonToken, lookbackDays }) {
     };
     if (cursor) body.cursor = cursor;
 
-    let attempt = 0;
-    let json;
-
-    while (true) {
-      attempt += 1;
-      const res = await fetch(`${PYLON_API_BASE}/audit-logs/search`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${pylonToken}`,
-          "Content-Type": "application/json",
-          Accept: "application/json",
-        },
-        body: JSON.stringify(body),
-      });
-
-      if (res.status === 429) {
-        if (attempt >= maxAttempts) {
-          console.warn(`[AUDIT-LOG] 429 after ${maxAttempts} attempts on page ${page}; skipping audit-log fetch.`);
-          return conversionMap;
-        }
-        const retryAfterHeader = res.headers.get("retry-after");
-        const retryAfterMs = retryAfterHeader
-          ? Number(retryAfterHeader) * 1000
-          : Math.min(30000, 750 * 2 ** (attempt - 1));
-        await sleep(retryAfterMs);
-        continue;
-      }
-
-      const text = await res.text();
-      try {
-        json = JSON.parse(text);
-      } catch {
-        console.warn(`[AUDIT-LOG] Non-JSON response (${res.status}) on page ${page}: ${text.slice(0, 200)}`);
-        return conversionMap;
-      }
-
-      if (!res.ok) {
-        console.warn(`[AUDIT-LOG] /audit-logs/search failed (${res.status}) on page ${page}: ${JSON.stringify(json).slice(0, 200)}`);
-        return conversionMap;
-      }
-      break;
+    const { status, ok, json, text } = await pylonRequest("/audit-logs/search", { token: pylonToken, method: "POST", body });
+    if (status === 429) {
+      log.warn("AUDIT-LOG", "Rate limited on every attempt; skipping audit-log fetch.", { page, attempts: PYLON_MAX_ATTEMPTS });
+      return conversionMap;
+    }
+    if (json == null) {
+      log.warn("AUDIT-LOG", "Non-JSON response", { page, status, body: text.slice(0, 200) });
+      return conversionMap;
+    }
+    if (!ok) {
+      log.warn("AUDIT-LOG", "/audit-logs/search failed", { page, status, body: JSON.stringify(json).slice(0, 200) });
+      return conversionMap;
     }
 
     const events = Array.isArray(json?.data) ? json.data : [];
@@ -730,89 +2134,141 @@ async function fetchTicketConversionTimes({ pylonToken, lookbackDays }) {
     const hasNext = json?.pagination?.has_next_page === true;
     const nextCursor = json?.pagination?.cursor ?? null;
 
-    console.log(
-      `[AUDIT-LOG] page=${page} fetched=${events.length} in_window=${inWindowCount} conversions_found=${conversionMap.size}`
-    );
+    log.info("AUDIT-LOG", "page", { page, fetched: events.length, inWindow: inWindowCount, conversions: conversionMap.size });
 
     if (!hasNext || !nextCursor) break;
     // Stop only when an entire page had no in-window events — means we've
     // paged past the lookback window on all results.
     if (events.length > 0 && inWindowCount === 0) {
-      console.log(`[AUDIT-LOG] Full page had no in-window events; stopping pagination.`);
+      log.info("AUDIT-LOG", "Full page had no in-window events; stopping pagination.", { page });
       break;
     }
 
     if (seenCursors.has(nextCursor)) {
-      console.warn(`[AUDIT-LOG] cursor repeated; stopping.`);
+      log.warn("AUDIT-LOG", "Cursor repeated; stopping.", { page });
       break;
     }
     seenCursors.add(nextCursor);
 
     if (page >= MAX_PAGES) {
-      console.warn(`[AUDIT-LOG] hit MAX_PAGES=${MAX_PAGES}; stopping.`);
+      log.warn("AUDIT-LOG", "Hit MAX_PAGES; stopping.", { maxPages: MAX_PAGES });
       break;
     }
 
     cursor = nextCursor;
-    await sleep(200);
   }
 
-  console.log(`[AUDIT-LOG] Done. ${conversionMap.size} ticket conversion timestamps loaded.`);
+  log.info("AUDIT-LOG", "Ticket conversion timestamps loaded", { conversions: conversionMap.size });
   return conversionMap;
 }
 
 /**
  * Fetch all users:
  * - Build id -> name map (used for display)
- * - Build name -> id map (used for roster matching)
+ * - Build email <-> id maps (used for roster matching and Slack user lookup)
+ * - Build name -> id map (legacy name-only roster entries; names shared by
+ *   several users are reported in ambiguousNames and never matched)
  */
 async function fetchAssigneeMaps({ pylonToken }) {
   try {
-    const res = await fetch(`${PYLON_API_BASE}/users`, {
-      method: "GET",
-      headers: { Authorization: `Bearer ${pylonToken}`, Accept: "application/json" },
-    });
-    const json = await res.json();
-    if (!res.ok || json.errors?.length) throw new Error(JSON.stringify(json));
+    const { status, ok, json, text } = await pylonRequest("/users", { token: pylonToken });
+    if (!ok || json == null || json.errors?.length) throw new Error(`GET /users returned ${status}: ${text.slice(0, 200)}`);
 
     const assigneeIdToName = {};
+    const assigneeIdToEmail = {};
+    const assigneeEmailToId = {};
     for (const u of json?.data ?? []) {
       const display =
         (typeof u?.name === "string" && u.name.trim()) ||
         (typeof u?.email === "string" && u.email.trim()) ||
         u?.id;
       if (u?.id) assigneeIdToName[u.id] = display;
+      if (u?.id && typeof u?.email === "string" && u.email.trim()) {
+        assigneeEmailToId[u.email.trim().toLowerCase()] = u.id;
+        assigneeIdToEmail[u.id] = u.email.trim().toLowerCase();
+      }
     }
 
-    // Inverse map (best effort)
+    // Inverse map; a name shared by several users can't identify anyone
     const assigneeNameToId = {};
+    const ambiguousNames = new Set();
     for (const [id, name] of Object.entries(assigneeIdToName)) {
+      if (Object.hasOwn(assigneeNameToId, name)) ambiguousNames.add(name);
       assigneeNameToId[name] = id;
     }
 
-    console.log(
-      `[USERS] Loaded ${Object.keys(assigneeIdToName).length} users for assignee name resolution.`
-    );
+    log.info("USERS", "Loaded users for assignee name resolution", { users: Object.keys(assigneeIdToName).length });
 
-    return { assigneeIdToName, assigneeNameToId };
+    return { assigneeIdToName, assigneeIdToEmail, assigneeNameToId, assigneeEmailToId, ambiguousNames };
   } catch (err) {
-    console.warn(
-      `[WARN] Could not fetch /users from Pylon. Assignees will show as IDs. Reason: ${err?.message || err}`
-    );
-    return { assigneeIdToName: {}, assigneeNameToId: {} };
+    log.warn("USERS", "Could not fetch /users from Pylon. Assignees will show as IDs.", errorFields(err));
+    return { assigneeIdToName: {}, assigneeIdToEmail: {}, assigneeNameToId: {}, assigneeEmailToId: {}, ambiguousNames: new Set() };
+  }
+}
+
+/**
+ * Resolve every roster member (region rosters + shift_lead_roster) to a Pylon
+ * user ID: "id" as configured, else by email, else by display name (legacy).
+ * Sets member.userId and member.label (configured name, else the user's
+ * current Pylon name).  Returns one problem string per unresolved member.
+ */
+function resolveRosterMembers({ assigneeIdToName, assigneeNameToId, assigneeEmailToId, ambiguousNames }) {
+  const members = new Set([
+    ...Object.keys(SLOT_CONFIG).flatMap((slot) => REGION_ROSTERS[slot] || []),
+    ...Object.values(REGION_ROSTERS.shift_lead_roster ?? {}).flat(),
+  ]);
+  const problems = new Set();
+  for (const member of members) {
+    let userId = null;
+    let reason = null;
+    if (member.id) {
+      userId = member.id;
+      if (!assigneeIdToName[member.id]) log.warn("ROSTER", `Pylon user ID ${member.id} is not in /users (matching on it anyway).`);
+      const emailId = member.email ? assigneeEmailToId[member.email] : null;
+      if (emailId && emailId !== member.id) {
+        log.warn("ROSTER", `${member.email} belongs to Pylon user ${emailId}, not ${member.id}; using the ID.`);
+      }
+    } else if (member.email) {
+      userId = assigneeEmailToId[member.email] ?? null;
+      if (!userId) reason = "email not found in Pylon users";
+    } else if (ambiguousNames.has(member.name)) {
+      reason = `name matches several Pylon users — add "id" or "email"`;
+    } else {
+      userId = assigneeNameToId[member.name] ?? null;
+      if (!userId) reason = "name not found in Pylon users";
+    }
+
+    member.userId = userId;
+    member.label = member.name ?? (userId ? assigneeIdToName[userId] : null) ?? member.email ?? member.id;
+    if (reason) problems.add(`${member.label} (${reason})`);
   }
+  return [...problems];
 }
 
 /** ----------------------------
  *  DISPLAY LINES
  *  ---------------------------- */
 
-function buildHandoffIssueLines(handoffIssuesList, assigneeIdToName) {
+/**
+ * Assignee column: a Slack @mention when the section pings people (mentionIds
+ * set, see mentionIdsFor) and the user is mapped, else the Pylon name.
+ */
+function formatAssignee(assigneeId, assigneeIdToName, mentionIds = null) {
+  if (!assigneeId) return "Unassigned";
+  const slackId = mentionIds?.get(assigneeId);
+  return slackId ? `<@${slackId}>` : (assigneeIdToName[assigneeId] || assigneeId);
+}
+
+// Pylon user ID -> Slack user ID map for a report section, or null when its mentions are off.
+function mentionIdsFor(sectionKey, slackUserIds) {
+  return SLACK_CONFIG.mentions[sectionKey] ? slackUserIds ?? null : null;
+}
+
+function buildHandoffIssueLines(handoffIssuesList, assigneeIdToName, mentionIds = null) {
   return handoffIssuesList
     .map((it) => {
       const issueLink = `<${pylonIssueUrl(it.id)}|#${it.number}>`;
-      const assignee =
-        it.assigneeId ? (assigneeIdToName[it.assigneeId] || it.assigneeId) : "Unassigned";
+      const assignee = formatAssignee(it.assigneeId, assigneeIdToName, mentionIds);
       const region = it.handoffRegionLabel || "Unknown";
       const meeting = it.meetingRequired ? "Yes" : "No";
       return `${it.priorityLabel}->${issueLink} | Assignee: ${assignee} | Handoff Region: ${region} | Handoff meeting required: ${meeting}`;
@@ -820,19 +2276,23 @@ function buildHandoffIssueLines(handoffIssuesList, assigneeIdToName) {
     .join("\n");
 }
 
+// Marker on report lines whose SLA comes from an account override, not the tier.
+function customSlaTag(it) {
+  return it.customSla ? " (custom SLA)" : "";
+}
+
 function isEnterpriseTier(tierSlug) {
-  return tierSlug === "enterprise" || tierSlug === "enterprise_elite";
+  return SLA_CONFIG.enterpriseLike.has(tierSlug);
 }
 
-function buildP0P1IssueLines(p0p1List, assigneeIdToName) {
+function buildP0P1IssueLines(p0p1List, assigneeIdToName, mentionIds = null) {
   return p0p1List
     .map((it) => {
       const issueLink = `<${pylonIssueUrl(it.id)}|#${it.number}>`;
-      const assignee =
-        it.assigneeId ? (assigneeIdToName[it.assigneeId] || it.assigneeId) : "Unassigned";
+      const assignee = formatAssignee(it.assigneeId, assigneeIdToName, mentionIds);
       const subject = (it.subject ?? "(No subject)").replace(/\s+/g, " ").trim();
       const tierSlug = it.tier ?? "unknown";
-      const tier = tierDisplayName(tierSlug);
+      const tier = `${tierDisplayName(tierSlug)}${customSlaTag(it)}`;
       const timeLeft = formatTimeRemaining(it.timeRemainingSeconds, it.isCalendar);
       const suffix = isEnterpriseTier(tierSlug) ? " 📌" : "";
       return `${it.priorityLabel} | ${tier} | ${timeLeft} | ${issueLink} | Assignee: ${assignee} | Subject: ${subject}${suffix}`;
@@ -840,13 +2300,12 @@ function buildP0P1IssueLines(p0p1List, assigneeIdToName) {
     .join("\n");
 }
 
-function buildWaitingOnSupportLines(list, assigneeIdToName) {
+function buildWaitingOnSupportLines(list, assigneeIdToName, mentionIds = null) {
   const sorted = [...list].sort((a, b) => priorityRank(a.priorityLabel) - priorityRank(b.priorityLabel));
   return sorted
     .map((it) => {
       const issueLink = `<${pylonIssueUrl(it.id)}|#${it.number}>`;
-      const assignee =
-        it.assigneeId ? (assigneeIdToName[it.assigneeId] || it.assigneeId) : "Unassigned";
+      const assignee = formatAssignee(it.assigneeId, assigneeIdToName, mentionIds);
       const subject = (it.subject ?? "(No subject)").replace(/\s+/g, " ").trim();
       const tierSlug = it.tier ?? "unknown";
       const tier = tierDisplayName(tierSlug);
@@ -858,16 +2317,7 @@ function buildWaitingOnSupportLines(list, assigneeIdToName) {
 }
 
 function tierDisplayName(slug) {
-  switch (slug) {
-    case "enterprise_elite": return "Enterprise Elite";
-    case "enterprise":       return "Enterprise";
-    case "pro_plus":         return "Pro+";
-    case "pro":              return "Pro";
-    case "lite":      return "Lite";
-    case "community":        return "Community";
-    case "unknown":          return "Unknown";
-    default:                 return slug;
-  }
+  return SLA_CONFIG.displayNames[slug] ?? slug;
 }
 
 /**
@@ -925,7 +2375,7 @@ function formatTimeRemaining(seconds, isCalendar) {
   return `${remMins}m left`;
 }
 
-function buildEntFrPendingLines(list, assigneeIdToName) {
+function buildEntFrPendingLines(list, assigneeIdToName, mentionIds = null) {
   const sorted = [...list].sort((a, b) => {
     const pr = priorityRank(a.priorityLabel) - priorityRank(b.priorityLabel);
     if (pr !== 0) return pr;
@@ -934,25 +2384,24 @@ function buildEntFrPendingLines(list, assigneeIdToName) {
   return sorted
     .map((it) => {
       const issueLink = `<${pylonIssueUrl(it.id)}|#${it.number}>`;
-      const assignee = it.assigneeId ? (assigneeIdToName[it.assigneeId] || it.assigneeId) : "Unassigned";
+      const assignee = formatAssignee(it.assigneeId, assigneeIdToName, mentionIds);
       const subject = (it.subject ?? "(No subject)").replace(/\s+/g, " ").trim();
-      const company = it.accountName ?? tierDisplayName(it.tier);
+      const company = `${it.accountName ?? tierDisplayName(it.tier)}${customSlaTag(it)}`;
       const timeLeft = formatTimeRemaining(it.timeRemainingSeconds, it.isCalendar);
       return `${it.priorityLabel} | ${company} | ${timeLeft} | ${issueLink} | Assignee: ${assignee} | Subject: ${subject}`;
     })
     .join("\n");
 }
 
-function buildSlaBreachedLines(list, assigneeIdToName) {
+function buildSlaBreachedLines(list, assigneeIdToName, mentionIds = null) {
   const sorted = [...list].sort((a, b) => priorityRank(a.priorityLabel) - priorityRank(b.priorityLabel));
   return sorted
     .map((it) => {
       const issueLink = `<${pylonIssueUrl(it.id)}|#${it.number}>`;
-      const assignee =
-        it.assigneeId ? (assigneeIdToName[it.assigneeId] || it.assigneeId) : "Unassigned";
+      const assignee = formatAssignee(it.assigneeId, assigneeIdToName, mentionIds);
       const subject = (it.subject ?? "(No subject)").replace(/\s+/g, " ").trim();
       const tierSlug = it.tier ?? "unknown";
-      const tier = tierDisplayName(tierSlug);
+      const tier = `${tierDisplayName(tierSlug)}${customSlaTag(it)}`;
       const overdue = formatOverdue(it.overdueSeconds, it.isCalendar);
       const suffix = isEnterpriseTier(tierSlug) ? " 📌" : "";
       return `${it.priorityLabel} | ${tier} | ${overdue} | ${issueLink} | Assignee: ${assignee} | Subject: ${subject}${suffix}`;
@@ -965,82 +2414,166 @@ function buildSlaBreachedLines(list, assigneeIdToName) {
  *  ---------------------------- */
 
 /**
- * Determine the shift lead for a given slot and month.
+ * Determine the shift lead for a given slot on the current shift's date.
  *
  * Uses an anchor point from rosters.json shift_lead_anchor to calculate
  * the rotation. This is robust to roster size changes — adding/removing
  * people won't shift the rotation for existing members.
  *
- * Formula: anchorIndex + monthsElapsed(anchor → now), modulo roster.length
+ * Formula: anchorIndex + periodsElapsed(anchor → shift date), modulo roster.length
+ * where a period is a calendar month ("rotation": "monthly", the default;
+ * anchor has year/month) or 7 / 14 days ("weekly" / "biweekly"; anchor has
+ * "date", the first day of the anchor member's period).
  *
- * To update: set shift_lead_anchor[slot] to whoever leads this month and
- * the current year/month. The rotation will advance forward automatically.
+ * To update: set shift_lead_anchor[slot] to whoever leads this period and
+ * its start. The rotation will advance forward automatically.
  *
  * Example (APAC anchor: Chinmay, May 2026, roster = [Saurabh, Chinmay, Stacie]):
  *   May 2026  → 0 months elapsed → index 1 → Chinmay
  *   Jun 2026  → 1 month elapsed  → index 2 → Stacie
  *   Jul 2026  → 2 months elapsed → index 0 → Saurabh
+ *
+ * Precedence, highest first:
+ *   1. shift_lead_overrides — explicit dated schedule, names the lead outright
+ *   2. shift_lead_swaps     — two members trade their rotation slots for a range
+ *   3. leave                — the next available member in roster order covers
+ *   4. rotation
  */
 function getShiftLead(slot, nowPt) {
-  // Use shift_lead_roster[slot] if defined (e.g. to exclude members who cover
-  // multiple regions from leading both simultaneously). Falls back to main roster.
+  const shiftDate = shiftDateForSlot(slot, nowPt);
+  const { label, member, note } = shiftLeadForDate(slot, shiftDate);
+  if (note) log.info("ROSTER", `${slot} shift lead ${shiftDate}: ${label} (${note}).`);
+  return { label, member };
+}
+
+// Rotation pool: shift_lead_roster[slot] if defined (e.g. to exclude members who
+// cover multiple regions from leading both simultaneously), else the main roster.
+function shiftLeadRosterFor(slot) {
   const shiftLeadValue = REGION_ROSTERS.shift_lead_roster?.[slot];
-  const leadRoster =
-    (Array.isArray(shiftLeadValue) && shiftLeadValue.length > 0
-      ? shiftLeadValue
-      : null) ?? (Array.isArray(REGION_ROSTERS[slot]) ? REGION_ROSTERS[slot] : []);
-  const roster = leadRoster;
-  if (roster.length === 0) return "TBD";
+  return (Array.isArray(shiftLeadValue) && shiftLeadValue.length > 0
+    ? shiftLeadValue
+    : null) ?? (Array.isArray(REGION_ROSTERS[slot]) ? REGION_ROSTERS[slot] : []);
+}
+
+/**
+ * Shift lead for a slot on a shift date ("yyyy-MM-dd"):
+ *   { label, member, note }  member is null when nobody in the roster matches;
+ *                            note explains a deviation from the plain rotation, else null
+ */
+function shiftLeadForDate(slot, isoDate) {
+  const roster = shiftLeadRosterFor(slot);
+
+  const override = REGION_ROSTERS.shift_lead_overrides?.[slot]?.find((o) => inRosterRange(o, isoDate));
+  if (override) {
+    const member = [...roster, ...(REGION_ROSTERS[slot] || [])].find((m) => rosterMemberMatches(m, override.lead));
+    return { label: member?.label ?? override.lead, member: member ?? null, note: "scheduled override" };
+  }
+
+  if (roster.length === 0) return { label: "TBD", member: null, note: null };
+  const rotationIdx = shiftLeadRotationIndex(slot, roster, isoDate);
+  let idx = rotationIdx;
+  let note = null;
+
+  for (const swap of REGION_ROSTERS.shift_lead_swaps?.[slot] ?? []) {
+    if (!inRosterRange(swap, isoDate)) continue;
+    const [a, b] = swap.swap.map((ref) => roster.findIndex((m) => rosterMemberMatches(m, ref)));
+    if (a === -1 || b === -1) {
+      warnOnce("ROSTER", `shift_lead_swaps.${slot} ${swap.swap.join(" <-> ")}: both must be in the ${slot} shift-lead roster; ignoring.`);
+      continue;
+    }
+    if (idx === a || idx === b) {
+      idx = idx === a ? b : a;
+      note = `swapped with ${roster[rotationIdx].label}`;
+      break;
+    }
+  }
+
+  // Whoever is up is on leave: the next available member covers for those
+  // days; the rotation itself is unaffected.
+  for (let k = 0; k < roster.length; k++) {
+    const candidate = roster[(idx + k) % roster.length];
+    if (isOnLeave(candidate, isoDate)) continue;
+    if (k > 0) note = `covering for ${roster[idx].label}, on leave`;
+    return { label: candidate.label, member: candidate, note };
+  }
+  warnOnce("ROSTER", `Every ${slot} shift-lead candidate is on leave ${isoDate}.`);
+  return { label: "TBD", member: null, note: "everyone on leave" };
+}
 
+const SHIFT_LEAD_ROTATIONS = { weekly: 7, biweekly: 14, monthly: null }; // period length in days
+
+// Roster index of the rotation's lead on isoDate (anchor + periods elapsed).
+function shiftLeadRotationIndex(slot, roster, isoDate) {
+  const date = DateTime.fromISO(isoDate, { zone: "utc" });
+  const wrap = (i) => ((i % roster.length) + roster.length) % roster.length;
   const anchor = REGION_ROSTERS.shift_lead_anchor?.[slot];
   if (anchor) {
-    const anchorIdx = roster.indexOf(anchor.name);
-    if (anchorIdx !== -1) {
-      if (
-        Number.isFinite(anchor.year) &&
-        Number.isFinite(anchor.month) &&
-        anchor.month >= 1 && anchor.month <= 12
-      ) {
-        const monthsElapsed = (nowPt.year - anchor.year) * 12 + (nowPt.month - anchor.month);
-        const idx = ((anchorIdx + monthsElapsed) % roster.length + roster.length) % roster.length;
-        return roster[idx];
+    const anchorRef = anchor.id ?? anchor.email ?? anchor.name;
+    const anchorIdx = roster.findIndex((m) => rosterMemberMatches(m, anchorRef));
+    const rotation = anchor.rotation ?? "monthly";
+    const anchorDate = anchor.date != null ? DateTime.fromISO(String(anchor.date), { zone: "utc" }) : null;
+    if (anchorIdx === -1) {
+      warnOnce("ROSTER", `shift_lead_anchor "${anchorRef}" not found in ${slot} roster; falling back.`);
+    } else if (!Object.hasOwn(SHIFT_LEAD_ROTATIONS, rotation)) {
+      warnOnce("ROSTER", `shift_lead_anchor for ${slot} has unknown rotation "${rotation}"; falling back.`);
+    } else if (SHIFT_LEAD_ROTATIONS[rotation] !== null) {
+      if (anchorDate?.isValid) {
+        const periods = Math.floor(Math.round(date.diff(anchorDate, "days").days) / SHIFT_LEAD_ROTATIONS[rotation]);
+        return wrap(anchorIdx + periods);
       }
-      console.warn(`[ROSTER] shift_lead_anchor for ${slot} has invalid year/month; falling back.`);
+      warnOnce("ROSTER", `shift_lead_anchor for ${slot} needs a "date" for ${rotation} rotation; falling back.`);
     } else {
-      console.warn(`[ROSTER] shift_lead_anchor name "${anchor.name}" not found in ${slot} roster; falling back.`);
+      const year = anchorDate?.isValid ? anchorDate.year : anchor.year;
+      const month = anchorDate?.isValid ? anchorDate.month : anchor.month;
+      if (Number.isFinite(year) && Number.isFinite(month) && month >= 1 && month <= 12) {
+        return wrap(anchorIdx + (date.year - year) * 12 + (date.month - month));
+      }
+      warnOnce("ROSTER", `shift_lead_anchor for ${slot} has invalid year/month; falling back.`);
     }
   }
 
   // Fallback: simple month % length (fragile to roster size changes)
-  return roster[nowPt.month % roster.length];
+  return date.month % roster.length;
 }
 
-function formatAssignedBreakdownForShift(slot, createdIssues, assigneeIdToName) {
+// Config warnings hit once per date by the shift-leads calendar; log each once.
+const loggedWarnings = new Set();
+function warnOnce(tag, message) {
+  if (loggedWarnings.has(message)) return;
+  loggedWarnings.add(message);
+  log.warn(tag, message);
+}
+
+function formatAssignedBreakdownForShift(slot, createdIssues, shiftDate) {
   const roster = REGION_ROSTERS[slot] || [];
-  const pylonCounts = new Map(roster.map((n) => [n, 0]));
+  const pylonCounts = new Map(roster.map((m) => [m, 0]));
 
-  // Warn if any roster member's name doesn't match any Pylon user — counts for
+  // Warn if any roster member didn't resolve to a Pylon user — counts for
   // that person will silently be 0, which would make the handoff report wrong.
-  const knownNames = new Set(Object.values(assigneeIdToName));
-  const unresolved = roster.filter((n) => !knownNames.has(n));
+  const unresolved = roster.filter((m) => !m.userId).map((m) => m.label);
   if (unresolved.length > 0) {
-    console.warn(
-      `[WARN][${slot.toUpperCase()}] Roster members not found in Pylon users (counts will be 0): ${unresolved.join(", ")}. ` +
-      `Check config/rosters.json for typos or name changes.`
-    );
+    log.warn("ROSTER", `${slot} roster members not found in Pylon users (counts will be 0). Check config/rosters.json for typos or name changes.`, {
+      members: unresolved,
+    });
   }
 
   for (const issue of createdIssues) {
     const assigneeId = issue?.assignee?.id;
     if (!assigneeId) continue;
 
-    const assigneeName = assigneeIdToName[assigneeId];
-    if (!assigneeName || !pylonCounts.has(assigneeName)) continue;
-
-    pylonCounts.set(assigneeName, (pylonCounts.get(assigneeName) || 0) + 1);
+    for (const member of roster) {
+      if (member.userId === assigneeId) pylonCounts.set(member, pylonCounts.get(member) + 1);
+    }
   }
 
-  const pylonLine = roster.map((n) => `${n}: ${pylonCounts.get(n) || 0}`).join(" | ");
+  // Members on leave are marked rather than shown with a misleading 0.
+  const pylonLine = roster
+    .map((m) => {
+      const count = pylonCounts.get(m) || 0;
+      if (!isOnLeave(m, shiftDate)) return `${m.label}: ${count}`;
+      return count > 0 ? `${m.label} (OOO): ${count}` : `${m.label} (OOO)`;
+    })
+    .join(" | ");
   const assignedCount = [...pylonCounts.values()].reduce((s, v) => s + v, 0);
 
   return {
@@ -1049,19 +2582,90 @@ function formatAssignedBreakdownForShift(slot, createdIssues, assigneeIdToName)
   };
 }
 
+/** ----------------------------
+ *  SNAPSHOT HISTORY
+ *  ---------------------------- */
+
+// Buckets that are persisted per run and shown with shift-over-shift deltas.
+const HISTORY_BUCKETS = ["entFrPending", "frP0P1", "frP2P3", "slaBreached", "waitP0P1", "waitP2P3", "handoffIssues"];
+
+/**
+ * Read every stored snapshot, oldest first.  Corrupt lines are skipped with a
+ * warning rather than failing the run — history is a nice-to-have.
+ */
+function readSnapshotHistory() {
+  if (!existsSync(SNAPSHOT_HISTORY_FILE)) return [];
+  const records = [];
+  const lines = readFileSync(SNAPSHOT_HISTORY_FILE, "utf8").split("\n");
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      log.warn("HISTORY", "Skipping unparsable line", { file: SNAPSHOT_HISTORY_FILE, line: i + 1 });
+    }
+  });
+  return records;
+}
+
+function appendSnapshotHistory(record) {
+  mkdirSync(HANDOFF_DATA_DIR, { recursive: true });
+  appendFileSync(SNAPSHOT_HISTORY_FILE, `${JSON.stringify(record)}\n`, "utf8");
+  log.info("HISTORY", "Stored snapshot", { file: SNAPSHOT_HISTORY_FILE });
+}
+
+/**
+ * The snapshot the incoming lead compares against: the latest stored run that
+ * isn't this same shift (a manual re-run of EMEA compares against APAC, not
+ * against the earlier EMEA run of the same day).  Runs at or after `before`
+ * (this run's clock) are skipped, so --now / --replay of an older shift never
+ * compares against a handoff that happened later.
+ */
+function findPreviousSnapshot(history, { slot, datePt, before }) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    const rec = history[i];
+    if (rec.slot === slot && rec.datePt === datePt) continue;
+    const runAt = parseUtcIso(rec.runAt);
+    if (!runAt?.isValid || runAt >= before) continue;
+    return rec;
+  }
+  return null;
+}
+
+/**
+ * Per-bucket count change vs the previous snapshot:
+ *   { since: "APAC", counts: { slaBreached: 2, ... } }
+ * Returns null when there is nothing to compare against.
+ */
+function computeSnapshotDeltas(counts, previous) {
+  if (!previous?.counts) return null;
+  const deltas = {};
+  for (const key of HISTORY_BUCKETS) {
+    if (typeof previous.counts[key] === "number" && typeof counts[key] === "number") {
+      deltas[key] = counts[key] - previous.counts[key];
+    }
+  }
+  return { since: regionLabelFromSlot(previous.slot), counts: deltas };
+}
+
+// " (+2 since APAC)" / " (-1 since APAC)" / " (±0 since APAC)"; "" without history.
+function formatDelta(deltas, key) {
+  const diff = deltas?.counts?.[key];
+  if (typeof diff !== "number") return "";
+  const sign = diff > 0 ? `+${diff}` : diff < 0 ? `${diff}` : "±0";
+  return ` (${sign} since ${deltas.since})`;
+}
+
 /** ----------------------------
  *  SLACK MESSAGE
  *  ---------------------------- */
 
-function buildSlackHandoffMessage({
-  slot,
-  headerLabel,
-  shiftLead,
-  datePt,
-  newTicketsDuringShiftCount,
-  aiAgentCount,
-  humanAgentCount,
-  newTicketsAssignedPylonBreakdown,
+/**
+ * Metric sections shared by the mrkdwn and Block Kit renderers, in display order.
+ * `lines` is empty when the section has nothing to list; `group` decides where
+ * the Block Kit renderer draws dividers.
+ */
+function buildHandoffSections({
   entFrPending,
   entFrPendingLines,
   frP0P1,
@@ -1075,7 +2679,7 @@ function buildSlackHandoffMessage({
   waitP2P3Lines,
   handoffIssues,
   handoffIssueLines,
-  truncationWarnings,
+  deltas,
 }) {
   const eP0P1 = statusEmoji({ count: frP0P1, alertLevel: "critical" });
   const eP2P3 = statusEmoji({ count: frP2P3 });
@@ -1088,6 +2692,79 @@ function buildSlackHandoffMessage({
   const frP2P3Label = `<${SLACK_LINKS.frSlaPendingP2P3}|*P2/P3 FR Pending*>`;
   const handoffLabel = `<${SLACK_LINKS.handoffIssues}|*Handoff Issues*>`;
 
+  return [
+    {
+      key: "entFrPending",
+      group: "enterprise",
+      heading: `🏢 <${SLACK_LINKS.entFrPending}|*Enterprise FR Pending*>: ${entFrPending}${formatDelta(deltas, "entFrPending")}`,
+      lines: entFrPending > 0 ? entFrPendingLines || "" : "",
+    },
+    {
+      key: "frP0P1",
+      group: "frPending",
+      heading: `${eP0P1} ${frP0P1Label}: ${frP0P1}${formatDelta(deltas, "frP0P1")}`,
+      lines: frP0P1 > 0 ? p0p1IssueLines || "" : "",
+    },
+    {
+      key: "frP2P3",
+      group: "frPending",
+      heading: `${eP2P3} ${frP2P3Label}: ${frP2P3}${formatDelta(deltas, "frP2P3")}`,
+      lines: "",
+    },
+    {
+      key: "slaBreached",
+      group: "frBreached",
+      heading: `${eSlaBreached} *FR SLA Breached:* ${slaBreached}${formatDelta(deltas, "slaBreached")}`,
+      lines: slaBreached > 0 ? slaBreachedLines || "" : "",
+    },
+    {
+      key: "waitP0P1",
+      group: "updateSla",
+      heading: `${eWaitP0P1} *P0/P1 Update SLA Breached (>${UPDATE_SLA_LABELS.p0p1}):* ${waitP0P1}${formatDelta(deltas, "waitP0P1")}`,
+      lines: waitP0P1 > 0 ? waitP0P1Lines || "" : "",
+    },
+    {
+      key: "waitP2P3",
+      group: "updateSla",
+      heading: `${eWaitP2P3} *P2/P3 Update SLA Breached (>${UPDATE_SLA_LABELS.p2p3}):* ${waitP2P3}${formatDelta(deltas, "waitP2P3")}`,
+      lines: waitP2P3 > 0 ? waitP2P3Lines || "" : "",
+    },
+    {
+      key: "handoff",
+      group: "handoff",
+      heading: `${eHandoff} ${handoffLabel}: ${handoffIssues}${formatDelta(deltas, "handoffIssues")}`,
+      lines: handoffIssues > 0 ? handoffIssueLines || "" : "",
+    },
+  ];
+}
+
+/**
+ * Section heading as shown in the headline post.  In threaded mode the line
+ * items live in the thread, so point there — with a permalink once known.
+ */
+function sectionHeadline(section, { threaded = false, detailLinks = null } = {}) {
+  if (!threaded || !section.lines) return section.heading;
+  const link = detailLinks?.get(section.key);
+  return link ? `${section.heading} · <${link}|details>` : `${section.heading} · _details in thread_`;
+}
+
+/**
+ * options.threaded    → omit line items (they go to thread replies)
+ * options.detailLinks → Map<sectionKey, permalink> of the first reply per section
+ */
+function buildSlackHandoffMessage(snapshot, options = {}) {
+  const {
+    slot,
+    headerLabel,
+    shiftLead,
+    datePt,
+    newTicketsDuringShiftCount,
+    aiAgentCount,
+    humanAgentCount,
+    newTicketsAssignedPylonBreakdown,
+    truncationWarnings,
+  } = snapshot;
+
   const region = regionLabelFromSlot(slot);
 
   let msg =
@@ -1099,86 +2776,562 @@ AI Agent: ${aiAgentCount} | Human Agent: ${humanAgentCount}`;
 
   msg +=
 `\n*Assigned:*
-${newTicketsAssignedPylonBreakdown}
-🏢 <${SLACK_LINKS.entFrPending}|*Enterprise FR Pending*>: ${entFrPending}`;
+${newTicketsAssignedPylonBreakdown}`;
 
-  if (entFrPending > 0 && entFrPendingLines) {
-    msg += `\n${entFrPendingLines}`;
+  for (const section of buildHandoffSections(snapshot)) {
+    msg += `\n${sectionHeadline(section, options)}`;
+    if (section.lines && !options.threaded) {
+      msg += `\n${section.lines}`;
+    }
   }
 
-  msg += `\n${eP0P1} ${frP0P1Label}: ${frP0P1}`;
-
-  if (frP0P1 > 0 && p0p1IssueLines) {
-    msg += `\n${p0p1IssueLines}`;
+  if (truncationWarnings && truncationWarnings.length > 0) {
+    msg += `\n\n⚠️ *Warning: Results truncated at MAX_PAGES limit*`;
+    for (const warning of truncationWarnings) {
+      msg += `\n  ${warning}`;
+    }
   }
 
-  msg += `\n${eP2P3} ${frP2P3Label}: ${frP2P3}`;
+  return msg;
+}
 
-  msg += `\n${eSlaBreached} *FR SLA Breached:* ${slaBreached}`;
+// Block Kit limits (https://api.slack.com/reference/block-kit/blocks)
+const SLACK_MAX_BLOCKS = 50;
+const SLACK_MAX_SECTION_CHARS = 3000;
+const SLACK_MAX_HEADER_CHARS = 150;
 
-  if (slaBreached > 0 && slaBreachedLines) {
-    msg += `\n${slaBreachedLines}`;
+/**
+ * Split newline-separated text into chunks of at most maxChars, breaking only
+ * on line boundaries.  A single line longer than maxChars is hard-cut.
+ */
+function chunkLines(text, maxChars) {
+  const chunks = [];
+  let current = "";
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.length > maxChars ? `${rawLine.slice(0, maxChars - 1)}…` : rawLine;
+    if (current && current.length + 1 + line.length > maxChars) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n${line}` : line;
   }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function mrkdwnSections(text) {
+  return chunkLines(text, SLACK_MAX_SECTION_CHARS).map((chunk) => ({
+    type: "section",
+    text: { type: "mrkdwn", text: chunk },
+  }));
+}
 
-  msg += `\n${eWaitP0P1} *P0/P1 Update SLA Breached (>1 day):* ${waitP0P1}`;
+/**
+ * Block Kit rendering of the same snapshot as buildSlackHandoffMessage:
+ * header → context (shift lead, date) → new tickets → one section per metric,
+ * with dividers between metric groups.  Send alongside the mrkdwn text, which
+ * Slack uses for notifications and clients without Block Kit support.
+ */
+function buildSlackHandoffBlocks(snapshot, options = {}) {
+  const {
+    slot,
+    headerLabel,
+    shiftLead,
+    datePt,
+    newTicketsDuringShiftCount,
+    aiAgentCount,
+    humanAgentCount,
+    newTicketsAssignedPylonBreakdown,
+    truncationWarnings,
+  } = snapshot;
 
-  if (waitP0P1 > 0 && waitP0P1Lines) {
-    msg += `\n${waitP0P1Lines}`;
+  const region = regionLabelFromSlot(slot);
+  const blocks = [
+    {
+      type: "header",
+      text: { type: "plain_text", text: `${headerLabel} team handoff`.slice(0, SLACK_MAX_HEADER_CHARS), emoji: true },
+    },
+    {
+      type: "context",
+      elements: [
+        { type: "mrkdwn", text: `*Shift Lead:* ${shiftLead}` },
+        { type: "mrkdwn", text: `*Date:* ${datePt}` },
+      ],
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*New tickets during ${region}:* ${newTicketsDuringShiftCount}\nAI Agent: ${aiAgentCount} | Human Agent: ${humanAgentCount}`,
+      },
+    },
+    ...mrkdwnSections(`*Assigned:*\n${newTicketsAssignedPylonBreakdown}`),
+  ];
+
+  let lastGroup = null;
+  for (const section of buildHandoffSections(snapshot)) {
+    if (section.group !== lastGroup) blocks.push({ type: "divider" });
+    lastGroup = section.group;
+    const headline = sectionHeadline(section, options);
+    blocks.push(...mrkdwnSections(section.lines && !options.threaded ? `${headline}\n${section.lines}` : headline));
   }
 
-  msg += `\n${eWaitP2P3} *P2/P3 Update SLA Breached (>3 days):* ${waitP2P3}`;
+  if (truncationWarnings && truncationWarnings.length > 0) {
+    blocks.push({ type: "divider" });
+    blocks.push({
+      type: "context",
+      elements: [
+        { type: "mrkdwn", text: `⚠️ *Warning: Results truncated at MAX_PAGES limit*\n${truncationWarnings.join("\n")}` },
+      ],
+    });
+  }
 
-  if (waitP2P3 > 0 && waitP2P3Lines) {
-    msg += `\n${waitP2P3Lines}`;
+  // Slack rejects messages with more than 50 blocks; keep the head and say so.
+  if (blocks.length > SLACK_MAX_BLOCKS) {
+    const omitted = blocks.length - (SLACK_MAX_BLOCKS - 1);
+    blocks.length = SLACK_MAX_BLOCKS - 1;
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: `⚠️ ${omitted} more block(s) omitted — message too long for Slack.` }],
+    });
   }
 
-  msg += `\n${eHandoff} ${handoffLabel}: ${handoffIssues}`;
+  return blocks;
+}
+
+/**
+ * One person's FR-breached, pending P0/P1, waiting-on-support and handoff
+ * tickets, from the scan details.  Returns null when they have none.
+ */
+function buildPersonalDigest({ snapshot, items, assigneeIdToName, userId }) {
+  const mine = (list) => list.filter((it) => it.assigneeId === userId);
+  const sections = [
+    ["🔥 FR SLA Breached", buildSlaBreachedLines, mine(items.slaBreached)],
+    ["🚨 P0/P1 FR Pending", buildP0P1IssueLines, mine(items.frP0P1)],
+    ["⏳ Waiting on Support", buildWaitingOnSupportLines, mine([...items.waitP0P1, ...items.waitP2P3])],
+    ["🔁 Handoff", buildHandoffIssueLines, mine(items.handoff)],
+  ].filter(([, , list]) => list.length > 0);
+  if (sections.length === 0) return null;
+
+  const body = sections
+    .map(([title, build, list]) => `*${title}:* ${list.length}\n${build(list, assigneeIdToName)}`)
+    .join("\n\n");
+  return `*Your open items — ${snapshot.headerLabel} handoff, ${snapshot.datePt}*\n\n${body}`;
+}
 
-  if (handoffIssues > 0 && handoffIssueLines) {
-    msg += `\n${handoffIssueLines}`;
+/**
+ * Personal DM digests for roster members who opted in (rosters.json
+ * "dm_digest").  Members with nothing outstanding, or on leave for this
+ * shift, get no DM.  Returns [{ member, text }].
+ */
+function buildDmDigests({ snapshot, items, assigneeIdToName, shiftDate }) {
+  const members = new Map(); // userId -> member (same person may sit in several rosters)
+  for (const slot of Object.keys(SLOT_CONFIG)) {
+    for (const member of REGION_ROSTERS[slot] || []) {
+      if (member.dmDigest && member.userId && !members.has(member.userId)) members.set(member.userId, member);
+    }
   }
 
-  if (truncationWarnings && truncationWarnings.length > 0) {
-    msg += `\n\n⚠️ *Warning: Results truncated at MAX_PAGES limit*`;
-    for (const warning of truncationWarnings) {
-      msg += `\n  ${warning}`;
+  const digests = [];
+  for (const [userId, member] of members) {
+    if (isOnLeave(member, shiftDate)) {
+      log.info("DIGEST", `${member.label} is on leave ${shiftDate}; no DM.`);
+      continue;
     }
+    const text = buildPersonalDigest({ snapshot, items, assigneeIdToName, userId });
+    if (text) digests.push({ member, text });
   }
+  return digests;
+}
 
-  return msg;
+// Sections that can carry Take it / Ack buttons, with their line builders.
+const BUTTON_SECTION_BUILDERS = {
+  entFrPending: buildEntFrPendingLines,
+  frP0P1: buildP0P1IssueLines,
+  slaBreached: buildSlaBreachedLines,
+  waitP0P1: buildWaitingOnSupportLines,
+};
+
+// Each issue takes a section, an actions block and (once clicked) a status
+// context; 15 per reply stays under Slack's 50-block cap with the heading.
+const BUTTON_ISSUES_PER_REPLY = 15;
+
+/**
+ * Per-issue lines for sections with buttons enabled in config/slack.json,
+ * in the order the section builder prints them.  Buttons only ride on
+ * threaded Block Kit replies, so this is empty in any other format.
+ * Returns { <section key>: [{ id, line }] }.
+ */
+function buildButtonLines({ items, assigneeIdToName, slackUserIds }) {
+  const buttonLines = {};
+  if (!SLACK_THREAD_DETAILS || SLACK_MESSAGE_FORMAT !== "blocks") return buttonLines;
+  for (const [key, build] of Object.entries(BUTTON_SECTION_BUILDERS)) {
+    if (!SLACK_CONFIG.buttons[key] || !items[key]?.length) continue;
+    const mentionIds = mentionIdsFor(key, slackUserIds);
+    const order = build(items[key], assigneeIdToName, mentionIds).split("\n");
+    buttonLines[key] = items[key]
+      .map((it) => ({ id: it.id, line: build([it], assigneeIdToName, mentionIds) }))
+      .sort((a, b) => order.indexOf(a.line) - order.indexOf(b.line));
+  }
+  return buttonLines;
 }
 
-/** ----------------------------
- *  SCANS
- *  ---------------------------- */
+/**
+ * Thread replies for a section with buttons: each issue line is its own
+ * section (block_id "issue:<id>") followed by Take it / Ack buttons
+ * (block_id "actions:<id>", value = Pylon issue ID).  The text fallback
+ * carries the same lines.
+ */
+function buildButtonReplies(section, buttonLines) {
+  const chunks = [];
+  for (let i = 0; i < buttonLines.length; i += BUTTON_ISSUES_PER_REPLY) {
+    chunks.push(buttonLines.slice(i, i + BUTTON_ISSUES_PER_REPLY));
+  }
+  return chunks.map((chunk, i) => {
+    const heading = `${section.heading}${chunks.length > 1 ? ` (${i + 1}/${chunks.length})` : ""}`;
+    const blocks = [{ type: "section", text: { type: "mrkdwn", text: heading } }];
+    for (const { id, line } of chunk) {
+      blocks.push(
+        { type: "section", block_id: `issue:${id}`, text: { type: "mrkdwn", text: line.slice(0, SLACK_MAX_SECTION_CHARS) } },
+        {
+          type: "actions",
+          block_id: `actions:${id}`,
+          elements: [
+            { type: "button", action_id: "handoff_take", style: "primary", value: id, text: { type: "plain_text", text: "Take it" } },
+            { type: "button", action_id: "handoff_ack", value: id, text: { type: "plain_text", text: "Ack" } },
+          ],
+        }
+      );
+    }
+    return { key: section.key, text: `${heading}\n${chunk.map((it) => it.line).join("\n")}`, blocks };
+  });
+}
 
 /**
- * Pass A: collect tickets created during the shift window (all states).
- * Counts issues assigned to any roster member (any region) or the AI support
- * agent, regardless of the Pylon team label.  This catches tickets that arrive
- * with a different (or missing) team tag but land on a support team member.
- * Tickets responded to by an agent move to waiting_on_you — they are still
- * counted as new tickets for that shift.
- * We can safely stop paging once oldest created_at < startUtc.
+ * Thread replies carrying each section's line items, split on line boundaries
+ * so every reply stays under Slack's per-block size limit.  Continuations are
+ * numbered: "<heading> (2/3)".
  */
-async function scanCreatedDuringShift({ slot, pylonToken, allRosterIds }) {
-  const nowPt = ptNow();
-  const { startUtc, endUtc } = getCreatedWindowForSlot(slot, nowPt);
+function buildThreadReplies(snapshot) {
+  const replies = [];
+  for (const section of buildHandoffSections(snapshot)) {
+    if (!section.lines) continue;
+    const buttonLines = snapshot.buttonLines?.[section.key];
+    if (buttonLines?.length) {
+      replies.push(...buildButtonReplies(section, buttonLines));
+      continue;
+    }
+    // Leave room for the heading and "(n/m)" suffix on each chunk.
+    const chunks = chunkLines(section.lines, SLACK_MAX_SECTION_CHARS - section.heading.length - 16);
+    chunks.forEach((chunk, i) => {
+      const suffix = chunks.length > 1 ? ` (${i + 1}/${chunks.length})` : "";
+      replies.push({ key: section.key, text: `${section.heading}${suffix}\n${chunk}` });
+    });
+  }
+  return replies;
+}
 
-  const createdIds = new Set();
-  const createdIssues = []; // human-assigned only (for roster breakdown)
-  let aiTicketCount = 0;
+/** ----------------------------
+ *  TREND REPORT (weekly / monthly)
+ *  ---------------------------- */
 
-  let cursor = null;
-  const seenCursors = new Set();
-  let page = 0;
-  const MAX_PAGES = 500;
+const REPORT_PERIODS = {
+  weekly: { label: "Weekly", duration: { weeks: 1 }, priorLabel: "prior week" },
+  monthly: { label: "Monthly", duration: { months: 1 }, priorLabel: "prior month" },
+};
 
-  while (true) {
-    page += 1;
+function historyInRange(history, startUtc, endUtc) {
+  return history.filter((rec) => {
+    const at = parseUtcIso(rec.runAt);
+    return at && at >= startUtc && at < endUtc;
+  });
+}
 
-    const resp = await pylonSearch({ token: pylonToken, limit: 200, cursor });
-    const data = Array.isArray(resp.data) ? resp.data : [];
+const average = (values) => (values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : null);
+
+const formatPct = (part, total) => (total > 0 ? `${Math.round((part / total) * 100)}%` : "n/a");
+
+/**
+ * Aggregate stored snapshots into trend figures.
+ * Tickets breached across several shifts count once per tier ("tickets") and
+ * once per snapshot they appeared in ("shift-breaches").
+ */
+function aggregateTrend(records) {
+  const byRegion = new Map(); // slot -> { shifts, newTickets, aiAgent, humanAgent }
+  const tierTickets = new Map(); // tier -> Set<issueId>
+  const tierShiftBreaches = new Map(); // tier -> count
+
+  for (const rec of records) {
+    const c = rec.counts ?? {};
+    if (!byRegion.has(rec.slot)) byRegion.set(rec.slot, { shifts: 0, newTickets: 0, aiAgent: 0, humanAgent: 0 });
+    const region = byRegion.get(rec.slot);
+    region.shifts += 1;
+    region.newTickets += c.newTickets ?? 0;
+    region.aiAgent += c.aiAgent ?? 0;
+    region.humanAgent += c.humanAgent ?? 0;
+
+    for (const [issueId, tier] of Object.entries(rec.slaBreachedTiers ?? {})) {
+      if (!tierTickets.has(tier)) tierTickets.set(tier, new Set());
+      tierTickets.get(tier).add(issueId);
+      tierShiftBreaches.set(tier, (tierShiftBreaches.get(tier) ?? 0) + 1);
+    }
+  }
+
+  const withCount = (key) => records.filter((r) => typeof r.counts?.[key] === "number");
+  const peakOf = (key) =>
+    withCount(key).reduce((best, r) => (best == null || r.counts[key] > best.counts[key] ? r : best), null);
+
+  const entRecords = withCount("entFrPending");
+  return {
+    snapshots: records.length,
+    byRegion,
+    slaBreached: {
+      avg: average(withCount("slaBreached").map((r) => r.counts.slaBreached)),
+      peak: peakOf("slaBreached"),
+    },
+    entFrPending: {
+      avg: average(entRecords.map((r) => r.counts.entFrPending)),
+      peak: peakOf("entFrPending"),
+      first: entRecords[0]?.counts.entFrPending ?? null,
+      last: entRecords[entRecords.length - 1]?.counts.entFrPending ?? null,
+    },
+    breachedTiers: [...tierTickets.entries()]
+      .map(([tier, ids]) => ({ tier, tickets: ids.size, shiftBreaches: tierShiftBreaches.get(tier) ?? 0 }))
+      .sort((a, b) => b.tickets - a.tickets || b.shiftBreaches - a.shiftBreaches),
+  };
+}
+
+function buildTrendReportMessage({ period, startPt, endPt, current, prior }) {
+  const { label, priorLabel } = REPORT_PERIODS[period];
+  const fmtAvg = (v) => (v == null ? "n/a" : v.toFixed(1));
+  const vsPrior = (v) => (v == null ? "" : ` (${priorLabel} avg ${fmtAvg(v)})`);
+  const peakText = (rec, key) =>
+    rec ? `${rec.counts[key]} (${regionLabelFromSlot(rec.slot)} ${rec.datePt})` : "n/a";
+
+  let msg =
+`*<${label} handoff trend report>*
+*Period:* ${formatDatePt(startPt)} – ${formatDatePt(endPt)} (${current.snapshots} snapshots)`;
+
+  if (current.snapshots === 0) {
+    return `${msg}\nNo stored snapshots in this period.`;
+  }
+
+  msg += `\n*New tickets per region shift:*`;
+  let total = 0;
+  let totalAi = 0;
+  let totalHuman = 0;
+  const slots = [...Object.keys(SLOT_CONFIG), ...[...current.byRegion.keys()].filter((s) => !SLOT_CONFIG[s])];
+  for (const slot of slots) {
+    const r = current.byRegion.get(slot);
+    if (!r) continue;
+    total += r.newTickets;
+    totalAi += r.aiAgent;
+    totalHuman += r.humanAgent;
+    msg +=
+      `\n${regionLabelFromSlot(slot)}: ${r.newTickets} over ${r.shifts} shift(s) (avg ${fmtAvg(r.newTickets / r.shifts)})` +
+      ` | AI Agent: ${r.aiAgent} (${formatPct(r.aiAgent, r.newTickets)}) | Human Agent: ${r.humanAgent} (${formatPct(r.humanAgent, r.newTickets)})`;
+  }
+  msg += `\n*Total:* ${total} | AI Agent: ${totalAi} (${formatPct(totalAi, total)}) | Human Agent: ${totalHuman} (${formatPct(totalHuman, total)})`;
+
+  msg +=
+    `\n🚨 *FR SLA Breached:* peak ${peakText(current.slaBreached.peak, "slaBreached")}` +
+    ` | avg ${fmtAvg(current.slaBreached.avg)}${vsPrior(prior.slaBreached.avg)}`;
+
+  const ent = current.entFrPending;
+  msg +=
+    `\n🏢 *Enterprise FR Pending:* avg ${fmtAvg(ent.avg)}${vsPrior(prior.entFrPending.avg)}` +
+    ` | peak ${peakText(ent.peak, "entFrPending")} | first ${ent.first ?? "n/a"} → last ${ent.last ?? "n/a"}`;
+
+  const tiers = current.breachedTiers.slice(0, 5);
+  msg += `\n*Most frequently breached tiers:* `;
+  msg += tiers.length > 0
+    ? tiers.map((t) => `${tierDisplayName(t.tier)}: ${t.tickets} ticket(s), ${t.shiftBreaches} shift-breach(es)`).join(" | ")
+    : "none";
+
+  return msg;
+}
+
+/**
+ * `weekly` / `monthly` command: aggregate stored snapshots for the trailing
+ * period (and the one before it, for comparison) and post the trend report.
+ * Reads only data/snapshots.jsonl — no Pylon calls.
+ */
+async function runTrendReport(period) {
+  const slackToken = DRY_RUN ? null : requireEnv("SLACK_BOT_TOKEN");
+  const { duration } = REPORT_PERIODS[period];
+
+  const endUtc = nowUtc();
+  const startUtc = endUtc.minus(duration);
+  const history = readSnapshotHistory();
+  const current = aggregateTrend(historyInRange(history, startUtc, endUtc));
+  const prior = aggregateTrend(historyInRange(history, startUtc.minus(duration), startUtc));
+
+  const text = buildTrendReportMessage({
+    period,
+    startPt: startUtc.setZone("America/Los_Angeles"),
+    endPt: endUtc.setZone("America/Los_Angeles"),
+    current,
+    prior,
+  });
+  const blocks =
+    SLACK_MESSAGE_FORMAT === "blocks"
+      ? [
+          { type: "header", text: { type: "plain_text", text: `${REPORT_PERIODS[period].label} handoff trend report`, emoji: true } },
+          ...mrkdwnSections(text.split("\n").slice(1).join("\n")),
+        ]
+      : null;
+
+  const summary = {
+    period,
+    start: startUtc.toISO(),
+    end: endUtc.toISO(),
+    snapshots: current.snapshots,
+    priorSnapshots: prior.snapshots,
+    slackChannel: SLACK_CHANNEL,
+  };
+
+  if (DRY_RUN) {
+    writeDryRunOutput({ text, blocks, summary: { ...summary, dryRun: true } });
+  } else {
+    await postToSlack({ slackToken, text, blocks });
+    log.info("TREND", "Posted trend report", summary);
+  }
+}
+
+/** ----------------------------
+ *  HOLIDAYS COMMAND
+ *  ---------------------------- */
+
+/**
+ * `holidays` command: print upcoming holidays per calendar (next --days, default 90)
+ * and which tiers / coverage modes use each calendar.  Local output only.
+ */
+function runHolidaysCommand() {
+  const days = Number(CLI.flags.days ?? 90);
+  if (!Number.isFinite(days) || days <= 0) throw new Error("--days must be a positive number");
+  const from = ptNow().startOf("day");
+  const until = from.plus({ days });
+
+  if (HOLIDAYS.calendars.size === 0) {
+    console.log("No holiday calendars configured (config/holidays.json).");
+    return;
+  }
+
+  for (const [calName, dayMap] of HOLIDAYS.calendars) {
+    const usedBy = [
+      ...Object.entries(HOLIDAYS.coverageCalendars).filter(([, c]) => c === calName).map(([k]) => `coverage:${k}`),
+      ...Object.entries(HOLIDAYS.tierCalendars).filter(([, c]) => c === calName).map(([k]) => `tier:${tierDisplayName(k)}`),
+    ];
+    console.log(`\n${calName} (used by: ${usedBy.length > 0 ? usedBy.join(", ") : "nothing"})`);
+
+    const upcoming = [...dayMap.keys()].sort().filter((d) => {
+      const dt = DateTime.fromISO(d, { zone: "America/Los_Angeles" });
+      return dt >= from && dt < until;
+    });
+    if (upcoming.length === 0) {
+      console.log(`  (none in the next ${days} days)`);
+      continue;
+    }
+    for (const d of upcoming) {
+      const dt = DateTime.fromISO(d, { zone: "America/Los_Angeles" });
+      for (const h of dayMap.get(d)) {
+        const partial = h.start === "00:00" && h.end === "24:00" ? "all day" : `${h.start}-${h.end} PT`;
+        console.log(`  ${dt.toFormat("ccc MM/dd/yyyy")}  ${h.name} (${partial})`);
+      }
+    }
+  }
+}
+
+/** ----------------------------
+ *  SHIFT-LEADS COMMAND
+ *  ---------------------------- */
+
+/**
+ * `shift-leads` command: print the computed shift-lead calendar per region
+ * for the next --weeks (default 8), one line per run of days with the same
+ * lead, noting overrides, swaps and leave cover.  Optional --region=<slot>.
+ * Reads config only (no Pylon calls), so ID-only members without a "name"
+ * show as their email / ID.
+ */
+function runShiftLeadsCommand() {
+  const weeks = Number(CLI.flags.weeks ?? 8);
+  if (!Number.isInteger(weeks) || weeks <= 0) throw new Error("--weeks must be a positive integer");
+  const slots = CLI.flags.region ? [CLI.flags.region] : Object.keys(SLOT_CONFIG);
+  for (const slot of slots) {
+    if (!SLOT_CONFIG[slot]) throw new Error(`Unknown region "${slot}" (configured: ${Object.keys(SLOT_CONFIG).join(", ")})`);
+  }
+
+  for (const slot of slots) {
+    const rotation = REGION_ROSTERS.shift_lead_anchor?.[slot]?.rotation ?? "monthly";
+    console.log(`\n${SLOT_CONFIG[slot].label} (${slot}, ${rotation} rotation)`);
+
+    const first = DateTime.fromISO(shiftDateForSlot(slot, ptNow()), { zone: "utc" });
+    let run = null;
+    const printRun = () =>
+      console.log(
+        `  ${run.from.toFormat("ccc MM/dd")} – ${run.to.toFormat("ccc MM/dd/yyyy")}  ${run.label}` +
+        (run.note ? `  (${run.note})` : "")
+      );
+    for (let day = 0; day < weeks * 7; day++) {
+      const date = first.plus({ days: day });
+      const { label, note } = shiftLeadForDate(slot, date.toISODate());
+      if (run && run.label === label && run.note === note) {
+        run.to = date;
+        continue;
+      }
+      if (run) printRun();
+      run = { from: date, to: date, label, note };
+    }
+    printRun();
+  }
+}
+
+/** ----------------------------
+ *  SCANS
+ *  ---------------------------- */
+
+/**
+ * Pass A: collect tickets created during the shift window (all states).
+ * Counts issues assigned to any roster member (any region) or the AI support
+ * agent, regardless of the Pylon team label.  This catches tickets that arrive
+ * with a different (or missing) team tag but land on a support team member.
+ * Tickets responded to by an agent move to waiting_on_you — they are still
+ * counted as new tickets for that shift.
+ * Only issues created inside the window are requested (an `and` of two
+ * created_at bounds); the window is re-checked locally as a guard and the
+ * assignee match is local.  Every page is read, so the result does not depend
+ * on the order Pylon returns issues in.
+ * shiftNowPt picks the shift window (a late catch-up run passes its due time).
+ */
+async function scanCreatedDuringShift({ slot, pylonToken, allRosterIds, shiftNowPt = ptNow() }) {
+  const { startUtc, endUtc } = getCreatedWindowForSlot(slot, shiftNowPt);
+
+  const createdIds = new Set();
+  const createdIssues = []; // human-assigned only (for roster breakdown)
+  const issueTiers = new Map(); // issueId -> support tier, for metrics
+  let aiTicketCount = 0;
+
+  // time_is_after is exclusive; back off a second so an issue created exactly
+  // at the window start still comes back (the local check below is >=).
+  const CREATED_FILTER = {
+    operator: "and",
+    subfilters: [
+      { field: "created_at", operator: "time_is_after", value: startUtc.minus({ seconds: 1 }).toISO() },
+      { field: "created_at", operator: "time_is_before", value: endUtc.toISO() },
+    ],
+  };
+
+  let cursor = null;
+  const seenCursors = new Set();
+  let page = 0;
+  const MAX_PAGES = 50; // one shift's new issues; 50 pages × 200 = 10k safety cap
+  let truncated = false;
+
+  while (true) {
+    page += 1;
+
+    const resp = await pylonSearch({ token: pylonToken, limit: 200, cursor, filter: CREATED_FILTER });
+    const data = Array.isArray(resp.data) ? resp.data : [];
 
     for (const issue of data) {
       if (!issue?.id) continue;
@@ -1195,50 +3348,41 @@ async function scanCreatedDuringShift({ slot, pylonToken, allRosterIds }) {
       if (createdIds.has(issue.id)) continue;
 
       createdIds.add(issue.id);
+      issueTiers.set(issue.id, getSupportTier(issue));
 
       if (isAiAgent) {
         // Count AI-handled tickets in the total but keep them out of the
         // human roster breakdown (Assigned: block).
-        console.log(`[SCAN-A] ai-agent issue=${issue.id} number=${issue.number}`);
+        log.debug("SCAN-A", "AI-agent issue", { issueId: issue.id, number: issue.number });
         aiTicketCount++;
       } else {
         createdIssues.push(issue);
       }
     }
 
-    const oldestUtc = data
-      .map((i) => parseUtcIso(i.created_at))
-      .filter(Boolean)
-      .reduce((min, dt) => (min == null || dt < min ? dt : min), null);
-
     const hasNext = resp?.pagination?.has_next_page === true;
     const nextCursor = resp?.pagination?.cursor ?? null;
 
-    console.log(
-      `[SCAN-A] page=${page} fetched=${data.length} createdInShift=${createdIds.size} aiAgent=${aiTicketCount}`
-    );
+    log.info("SCAN-A", "page", { page, fetched: data.length, createdInShift: createdIds.size, aiAgent: aiTicketCount });
 
     if (!hasNext || !nextCursor) break;
 
-    // Safe early-stop for created-window counting
-    if (oldestUtc && oldestUtc < startUtc) break;
-
     if (seenCursors.has(nextCursor)) {
-      console.warn(`[SCAN-A] cursor repeated; stopping to avoid infinite paging.`);
+      log.warn("SCAN-A", "Cursor repeated; stopping to avoid infinite paging.", { page });
       break;
     }
     seenCursors.add(nextCursor);
 
     if (page >= MAX_PAGES) {
-      console.warn(`[SCAN-A] hit MAX_PAGES=${MAX_PAGES}; stopping.`);
+      log.warn("SCAN-A", "Hit MAX_PAGES; stopping.", { maxPages: MAX_PAGES });
+      truncated = true;
       break;
     }
 
     cursor = nextCursor;
-    await sleep(200);
   }
 
-  return { count: createdIds.size, issues: createdIssues, aiCount: aiTicketCount };
+  return { count: createdIds.size, issues: createdIssues, aiCount: aiTicketCount, issueTiers, pages: page, truncated };
 }
 
 /**
@@ -1258,7 +3402,7 @@ async function scanCreatedDuringShift({ slot, pylonToken, allRosterIds }) {
  * conversionTimes: Map<issueId, actionHappenedAtIso> from fetchTicketConversionTimes().
  *   For enterprise issues converted from conversations, SLA clock starts at conversion time.
  */
-async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes, allRosterIds }) {
+async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes, allRosterIds, slackUserIds = null }) {
   const nowPt = ptNow();
 
   const NEW_STATE_FILTER = { field: "state", operator: "equals", value: "new" };
@@ -1273,6 +3417,7 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
   const slaBreachedDetails = new Map();
   const entFrPendingDetails = new Map(); // enterprise/elite issues not yet breached
   const handoffItems = new Map();        // state=new issues with hand_off_region set
+  const issueTiers = new Map();          // issueId -> support tier, for metrics
   let aiAgentOpenCount = 0;              // state=new issues handled by the AI agent (no SLA obligations)
 
   let cursor = null;
@@ -1294,6 +3439,8 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
 
       const prioRaw = getPriority(issue);
       const prioLabel = mapPriorityLabel(prioRaw);
+      const tier = getSupportTier(issue);
+      issueTiers.set(issue.id, tier);
 
       // Collect handoff issues regardless of assignee.
       const handoffSlug = getHandoffRegionValue(issue);
@@ -1314,16 +3461,15 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
         continue;
       }
 
-      const tierRaw = issue?.custom_fields?.support_tier?.values?.[0] ?? "unknown";
-      const tier = tierRaw.replace(/-/g, "_");
+      // Tier defaults, or the account's negotiated contract where one is configured.
+      const accountId = issue?.account?.id ?? null;
+      const frtSla = frtSlaFor(tier, prioRaw, accountId);
 
       if (prioRaw && P0_P1_PRIORITIES.has(prioRaw) && !isEnterpriseTier(tier)) {
-        const p0p1PrioIdx = PRIORITY_IDX[prioRaw] ?? null;
-        const p0p1SlaSeconds = p0p1PrioIdx !== null ? (SLA_SECONDS[tier]?.[p0p1PrioIdx] ?? null) : null;
-        const p0p1Coverage = SLA_COVERAGE[tier]?.[p0p1PrioIdx] ?? "biz";
+        const { slaSeconds: p0p1SlaSeconds, coverage: p0p1Coverage } = frtSla;
         let p0p1TimeRemaining = null;
         if (p0p1SlaSeconds !== null && issue.created_at) {
-          const p0p1Elapsed = elapsedSeconds(issue.created_at, nowPt, p0p1Coverage);
+          const p0p1Elapsed = elapsedSeconds(issue.created_at, nowPt, p0p1Coverage, tier);
           p0p1TimeRemaining = p0p1SlaSeconds - p0p1Elapsed;
         }
         // Only add to Pending if not yet breached — overdue issues move to FR SLA Breached.
@@ -1334,6 +3480,7 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
             number: issue.number,
             priorityLabel: prioLabel,
             tier,
+            customSla: frtSla.customSla,
             timeRemainingSeconds: p0p1TimeRemaining,
             isCalendar: p0p1Coverage !== "biz",
             assigneeId: issue?.assignee?.id ?? null,
@@ -1343,12 +3490,10 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
       }
 
       if (prioRaw && P2_P3_PRIORITIES.has(prioRaw) && !isEnterpriseTier(tier)) {
-        const p2p3PrioIdx = PRIORITY_IDX[prioRaw] ?? null;
-        const p2p3SlaSeconds = p2p3PrioIdx !== null ? (SLA_SECONDS[tier]?.[p2p3PrioIdx] ?? null) : null;
-        const p2p3Coverage = SLA_COVERAGE[tier]?.[p2p3PrioIdx] ?? "biz";
+        const { slaSeconds: p2p3SlaSeconds, coverage: p2p3Coverage } = frtSla;
         let p2p3Overdue = false;
         if (p2p3SlaSeconds !== null && issue.created_at) {
-          const p2p3Elapsed = elapsedSeconds(issue.created_at, nowPt, p2p3Coverage);
+          const p2p3Elapsed = elapsedSeconds(issue.created_at, nowPt, p2p3Coverage, tier);
           p2p3Overdue = p2p3Elapsed > p2p3SlaSeconds;
         }
         if (!p2p3Overdue) {
@@ -1359,14 +3504,12 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
       // FRT SLA breach: check tier × priority threshold.
       // For enterprise issues, use the audit-log conversion timestamp if available.
       if (prioRaw && issue.created_at) {
-        const prioIdx = PRIORITY_IDX[prioRaw] ?? null;
-        const slaSeconds = prioIdx !== null ? (SLA_SECONDS[tier]?.[prioIdx] ?? null) : null;
+        const { slaSeconds, coverage } = frtSla;
         if (slaSeconds !== null) {
-          const coverage = SLA_COVERAGE[tier]?.[prioIdx] ?? "biz";
           const slaStartIso = isEnterpriseTier(tier)
             ? (conversionTimes?.get(issue.id) ?? issue.created_at)
             : issue.created_at;
-          const elapsed = elapsedSeconds(slaStartIso, nowPt, coverage);
+          const elapsed = elapsedSeconds(slaStartIso, nowPt, coverage, tier);
           if (elapsed > slaSeconds && !slaBreachedDetails.has(issue.id)) {
             ids.slaBreached.add(issue.id);
             slaBreachedDetails.set(issue.id, {
@@ -1374,6 +3517,7 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
               number: issue.number,
               priorityLabel: prioLabel,
               tier,
+              customSla: frtSla.customSla,
               overdueSeconds: elapsed - slaSeconds,
               isCalendar: coverage !== "biz",
               assigneeId: issue?.assignee?.id ?? null,
@@ -1385,23 +3529,21 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
 
       // Enterprise FR Pending: enterprise/elite new issues not yet breached.
       if (isEnterpriseTier(tier) && prioRaw && !entFrPendingDetails.has(issue.id)) {
-        const prioIdx = PRIORITY_IDX[prioRaw] ?? null;
-        const slaSeconds = prioIdx !== null ? (SLA_SECONDS[tier]?.[prioIdx] ?? null) : null;
-        const coverage = SLA_COVERAGE[tier]?.[prioIdx] ?? "biz";
+        const { slaSeconds, coverage } = frtSla;
         const slaStartIso = conversionTimes?.get(issue.id) ?? issue.created_at;
         let timeRemaining = null;
         if (slaSeconds !== null && slaStartIso) {
-          const elapsed = elapsedSeconds(slaStartIso, nowPt, coverage);
+          const elapsed = elapsedSeconds(slaStartIso, nowPt, coverage, tier);
           timeRemaining = slaSeconds - elapsed;
         }
         if (timeRemaining === null || timeRemaining >= 0) {
-          const accountId = issue?.account?.id ?? null;
           entFrPendingDetails.set(issue.id, {
             id: issue.id,
             number: issue.number,
             priorityLabel: prioLabel,
             prioRaw,
             tier,
+            customSla: frtSla.customSla,
             accountId,
             accountName: null, // resolved after scan
             timeRemainingSeconds: timeRemaining,
@@ -1416,26 +3558,30 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
     const hasNext = resp?.pagination?.has_next_page === true;
     const nextCursor = resp?.pagination?.cursor ?? null;
 
-    console.log(
-      `[SCAN-B] page=${page} fetched=${data.length} p0p1=${ids.frP0P1.size} p2p3=${ids.frP2P3.size} slaBreached=${ids.slaBreached.size} aiAgent=${aiAgentOpenCount}`
-    );
+    log.info("SCAN-B", "page", {
+      page,
+      fetched: data.length,
+      frP0P1: ids.frP0P1.size,
+      frP2P3: ids.frP2P3.size,
+      slaBreached: ids.slaBreached.size,
+      aiAgent: aiAgentOpenCount,
+    });
 
     if (!hasNext || !nextCursor) break;
 
     if (seenCursors.has(nextCursor)) {
-      console.warn(`[SCAN-B] cursor repeated; stopping to avoid infinite paging.`);
+      log.warn("SCAN-B", "Cursor repeated; stopping to avoid infinite paging.", { page });
       break;
     }
     seenCursors.add(nextCursor);
 
     if (page >= MAX_PAGES) {
-      console.warn(`[SCAN-B] hit MAX_PAGES=${MAX_PAGES}; stopping.`);
+      log.warn("SCAN-B", "Hit MAX_PAGES; stopping.", { maxPages: MAX_PAGES });
       truncated = true;
       break;
     }
 
     cursor = nextCursor;
-    await sleep(200);
   }
 
   // Fetch account names for enterprise FR pending issues
@@ -1445,26 +3591,25 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
       if (detail.accountId && !accountNameCache.has(detail.accountId)) {
         const name = await fetchAccountName({ pylonToken, accountId: detail.accountId });
         accountNameCache.set(detail.accountId, name);
-        await sleep(100);
       }
       detail.accountName = accountNameCache.get(detail.accountId) ?? null;
     }
-    console.log(`[SCAN-B] Resolved account names for ${entFrPendingDetails.size} enterprise FR pending issues.`);
+    log.info("SCAN-B", "Resolved account names for enterprise FR pending issues", { entFrPending: entFrPendingDetails.size });
   }
 
   const p0p1IssueLines =
     ids.frP0P1.size > 0
-      ? buildP0P1IssueLines(Array.from(p0p1Details.values()), assigneeIdToName)
+      ? buildP0P1IssueLines(Array.from(p0p1Details.values()), assigneeIdToName, mentionIdsFor("frP0P1", slackUserIds))
       : "";
 
   const slaBreachedLines =
     ids.slaBreached.size > 0
-      ? buildSlaBreachedLines(Array.from(slaBreachedDetails.values()), assigneeIdToName)
+      ? buildSlaBreachedLines(Array.from(slaBreachedDetails.values()), assigneeIdToName, mentionIdsFor("slaBreached", slackUserIds))
       : "";
 
   const entFrPendingLines =
     entFrPendingDetails.size > 0
-      ? buildEntFrPendingLines(Array.from(entFrPendingDetails.values()), assigneeIdToName)
+      ? buildEntFrPendingLines(Array.from(entFrPendingDetails.values()), assigneeIdToName, mentionIdsFor("entFrPending", slackUserIds))
       : "";
 
   return {
@@ -1476,6 +3621,20 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
     entFrPending: entFrPendingDetails.size,
     entFrPendingLines,
     handoffItems,
+    items: {
+      entFrPending: [...entFrPendingDetails.values()],
+      frP0P1: [...p0p1Details.values()],
+      slaBreached: [...slaBreachedDetails.values()],
+    },
+    issueIds: {
+      frP0P1: [...ids.frP0P1],
+      frP2P3: [...ids.frP2P3],
+      slaBreached: [...ids.slaBreached],
+      entFrPending: [...entFrPendingDetails.keys()],
+    },
+    slaBreachedTiers: Object.fromEntries([...slaBreachedDetails].map(([id, d]) => [id, d.tier])),
+    issueTiers,
+    pages: page,
     truncated,
   };
 }
@@ -1490,6 +3649,8 @@ async function scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes,
  */
 async function scanHandoffIssues({ pylonToken, allRosterIds }) {
   const handoffDisplay = new Map();
+  const issueTiers = new Map(); // issueId -> support tier, for metrics
+  let pages = 0;
   let truncated = false;
 
   for (const state of ["waiting_on_customer", "on_hold"]) {
@@ -1501,6 +3662,7 @@ async function scanHandoffIssues({ pylonToken, allRosterIds }) {
 
     while (true) {
       page += 1;
+      pages += 1;
 
       const resp = await pylonSearch({ token: pylonToken, limit: 200, cursor, filter });
       const data = Array.isArray(resp.data) ? resp.data : [];
@@ -1514,6 +3676,7 @@ async function scanHandoffIssues({ pylonToken, allRosterIds }) {
 
         const prioRaw = getPriority(issue);
         const prioLabel = mapPriorityLabel(prioRaw);
+        issueTiers.set(issue.id, getSupportTier(issue));
         handoffDisplay.set(issue.id, {
           id: issue.id,
           number: issue.number,
@@ -1527,30 +3690,29 @@ async function scanHandoffIssues({ pylonToken, allRosterIds }) {
       const hasNext = resp?.pagination?.has_next_page === true;
       const nextCursor = resp?.pagination?.cursor ?? null;
 
-      console.log(`[SCAN-D] state=${state} page=${page} fetched=${data.length} handoff=${handoffDisplay.size}`);
+      log.info("SCAN-D", "page", { state, page, fetched: data.length, handoff: handoffDisplay.size });
 
       if (!hasNext || !nextCursor) break;
 
       if (seenCursors.has(nextCursor)) {
-        console.warn(`[SCAN-D] cursor repeated for state=${state}; stopping.`);
+        log.warn("SCAN-D", "Cursor repeated; stopping.", { state, page });
         break;
       }
       seenCursors.add(nextCursor);
 
       if (page >= MAX_PAGES) {
-        console.warn(`[SCAN-D] hit MAX_PAGES=${MAX_PAGES} for state=${state}; stopping.`);
+        log.warn("SCAN-D", "Hit MAX_PAGES; stopping.", { state, maxPages: MAX_PAGES });
         truncated = true;
         break;
       }
 
       cursor = nextCursor;
-      await sleep(200);
     }
   }
 
-  console.log(`[SCAN-D] Handoff issues total: ${handoffDisplay.size}`);
+  log.info("SCAN-D", "Handoff issues total", { handoff: handoffDisplay.size });
 
-  return { handoffItems: handoffDisplay, truncated };
+  return { handoffItems: handoffDisplay, issueTiers, pages, truncated };
 }
 
 /**
@@ -1565,11 +3727,11 @@ async function scanHandoffIssues({ pylonToken, allRosterIds }) {
  * After collecting candidates, resolves each via the per-issue messages API
  * to check who spoke last (latest-public-speaker check).
  *
- * Update-frequency thresholds (best effort until per-tier values are defined):
- *   P0/P1 (urgent/high): customer last spoke > 1 day ago
- *   P2/P3 (medium/low):  customer last spoke > 3 days ago
+ * Update-frequency thresholds come from the update SLA matrix in config/sla.json
+ * (update_hours / update_coverage per tier and priority); a ticket is listed once
+ * the customer's last public message is older than its cell's threshold.
  */
-async function scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds }) {
+async function scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds, slackUserIds = null }) {
   const nowPt = ptNow();
 
   const WAITING_FILTER = { field: "state", operator: "equals", value: "waiting_on_you" };
@@ -1577,6 +3739,7 @@ async function scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds
   const handoffItems = new Map();        // waiting_on_you issues with hand_off_region set
   const waitP0P1Candidates = new Map();
   const waitP2P3Candidates = new Map();
+  const issueTiers = new Map();          // issueId -> support tier, for metrics
 
   let cursor = null;
   const seenCursors = new Set();
@@ -1610,15 +3773,17 @@ async function scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds
         });
       }
 
-      const tierRaw = issue?.custom_fields?.support_tier?.values?.[0] ?? "unknown";
+      const tier = getSupportTier(issue);
+      issueTiers.set(issue.id, tier);
       const candidate = {
         id: issue.id,
         number: issue.number,
         priorityLabel: prioLabel,
         prioRaw,
-        tier: tierRaw.replace(/-/g, "_"),
+        tier,
         assigneeId: issue?.assignee?.id ?? null,
         subject: issue?.title ?? "(No subject)",
+        updatedAt: issue?.updated_at ?? null,
       };
 
       if (prioRaw && P0_P1_PRIORITIES.has(prioRaw) && !waitP0P1Candidates.has(issue.id)) {
@@ -1632,46 +3797,33 @@ async function scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds
     const hasNext = resp?.pagination?.has_next_page === true;
     const nextCursor = resp?.pagination?.cursor ?? null;
 
-    console.log(
-      `[SCAN-C] page=${page} fetched=${data.length} waitP0P1=${waitP0P1Candidates.size} waitP2P3=${waitP2P3Candidates.size}`
-    );
+    log.info("SCAN-C", "page", { page, fetched: data.length, waitP0P1: waitP0P1Candidates.size, waitP2P3: waitP2P3Candidates.size });
 
     if (!hasNext || !nextCursor) break;
 
     if (seenCursors.has(nextCursor)) {
-      console.warn(`[SCAN-C] cursor repeated; stopping.`);
+      log.warn("SCAN-C", "Cursor repeated; stopping.", { page });
       break;
     }
     seenCursors.add(nextCursor);
 
     if (page >= MAX_PAGES) {
-      console.warn(`[SCAN-C] hit MAX_PAGES=${MAX_PAGES}; stopping.`);
+      log.warn("SCAN-C", "Hit MAX_PAGES; stopping.", { maxPages: MAX_PAGES });
       truncated = true;
       break;
     }
 
     cursor = nextCursor;
-    await sleep(200);
   }
 
-  // Resolve waiting-on-support candidates via per-issue messages API.
-  const MSG_DELAY_MS = Number(process.env.PYLON_MESSAGES_DELAY_MS || 500);
+  // Resolve waiting-on-support candidates via per-issue messages API (or the cache).
   const allWaitCandidates = new Map([...waitP0P1Candidates, ...waitP2P3Candidates]);
-  const waitStatusCache = new Map();
+  let waitStatusCache = new Map();
 
   if (allWaitCandidates.size > 0) {
-    console.log(`[SCAN-C] Resolving ${allWaitCandidates.size} waiting-on-support candidates via messages API...`);
-    for (const issueId of allWaitCandidates.keys()) {
-      try {
-        const status = await fetchWaitingOnSupportStatus({ pylonToken, issueId });
-        if (status) waitStatusCache.set(issueId, status);
-      } catch (err) {
-        // Per-issue error handling: log and continue, don't abort the run
-        console.warn(`[MESSAGES] Unexpected error for issue ${issueId}: ${err?.message || err}`);
-      }
-      await sleep(MSG_DELAY_MS);
-    }
-    console.log(`[SCAN-C] Resolved ${waitStatusCache.size}/${allWaitCandidates.size} with message status.`);
+    log.info("SCAN-C", "Resolving waiting-on-support candidates via messages API", { candidates: allWaitCandidates.size });
+    waitStatusCache = await resolveWaitingOnSupportStatuses({ pylonToken, candidates: allWaitCandidates });
+    log.info("SCAN-C", "Resolved candidates with message status", { resolved: waitStatusCache.size, candidates: allWaitCandidates.size });
   }
 
   // Apply update-frequency thresholds — only flag if the latest public speaker is
@@ -1682,10 +3834,8 @@ async function scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds
   for (const [issueId, candidate] of waitP0P1Candidates) {
     const status = waitStatusCache.get(issueId);
     if (status?.isCustomerLast && status.latestPublicMsgTime) {
-      const prioIdx = PRIORITY_IDX[candidate.prioRaw] ?? 1;
-      const coverage = SLA_COVERAGE[candidate.tier]?.[prioIdx] ?? "biz";
-      const elapsed = elapsedSeconds(status.latestPublicMsgTime.toISO(), nowPt, coverage);
-      const threshold = coverage === "biz" ? 8 * 3600 : 24 * 3600;
+      const { thresholdSeconds: threshold, coverage } = updateSlaFor(candidate.tier, candidate.prioRaw);
+      const elapsed = elapsedSeconds(status.latestPublicMsgTime.toISO(), nowPt, coverage, candidate.tier);
       if (elapsed > threshold) {
         ids.waitP0P1.add(issueId);
         waitP0P1Details.set(issueId, {
@@ -1701,10 +3851,8 @@ async function scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds
   for (const [issueId, candidate] of waitP2P3Candidates) {
     const status = waitStatusCache.get(issueId);
     if (status?.isCustomerLast && status.latestPublicMsgTime) {
-      const prioIdx = PRIORITY_IDX[candidate.prioRaw] ?? 3;
-      const coverage = SLA_COVERAGE[candidate.tier]?.[prioIdx] ?? "biz";
-      const elapsed = elapsedSeconds(status.latestPublicMsgTime.toISO(), nowPt, coverage);
-      const threshold = coverage === "biz" ? 24 * 3600 : 72 * 3600;
+      const { thresholdSeconds: threshold, coverage } = updateSlaFor(candidate.tier, candidate.prioRaw);
+      const elapsed = elapsedSeconds(status.latestPublicMsgTime.toISO(), nowPt, coverage, candidate.tier);
       if (elapsed > threshold) {
         ids.waitP2P3.add(issueId);
         waitP2P3Details.set(issueId, {
@@ -1716,16 +3864,16 @@ async function scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds
     }
   }
 
-  console.log(`[SCAN-C] Waiting on Support final: P0/P1=${ids.waitP0P1.size} P2/P3=${ids.waitP2P3.size}`);
+  log.info("SCAN-C", "Waiting on Support final", { waitP0P1: ids.waitP0P1.size, waitP2P3: ids.waitP2P3.size });
 
   const waitP0P1Lines =
     ids.waitP0P1.size > 0
-      ? buildWaitingOnSupportLines(Array.from(waitP0P1Details.values()), assigneeIdToName)
+      ? buildWaitingOnSupportLines(Array.from(waitP0P1Details.values()), assigneeIdToName, mentionIdsFor("waitP0P1", slackUserIds))
       : "";
 
   const waitP2P3Lines =
     ids.waitP2P3.size > 0
-      ? buildWaitingOnSupportLines(Array.from(waitP2P3Details.values()), assigneeIdToName)
+      ? buildWaitingOnSupportLines(Array.from(waitP2P3Details.values()), assigneeIdToName, mentionIdsFor("waitP2P3", slackUserIds))
       : "";
 
   return {
@@ -1734,6 +3882,16 @@ async function scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds
     waitP2P3: ids.waitP2P3.size,
     waitP2P3Lines,
     handoffItems,
+    items: {
+      waitP0P1: [...waitP0P1Details.values()],
+      waitP2P3: [...waitP2P3Details.values()],
+    },
+    issueIds: {
+      waitP0P1: [...ids.waitP0P1],
+      waitP2P3: [...ids.waitP2P3],
+    },
+    issueTiers,
+    pages: page,
     truncated,
   };
 }
@@ -1742,40 +3900,269 @@ async function scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds
  *  SLACK
  *  ---------------------------- */
 
-async function postToSlack({ slackToken, text }) {
-  const res = await fetch("https://slack.com/api/chat.postMessage", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${slackToken}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      channel: SLACK_CHANNEL,
+/**
+ * Call a Slack Web API method (POST, JSON body) against SLACK_API_BASE.
+ * Throws on non-JSON responses (e.g. a 5xx HTML page) and on `ok: false`.
+ */
+async function slackApi({ slackToken, method, payload, httpMethod = "POST" }) {
+  // Read methods (e.g. chat.getPermalink) take query args rather than a JSON body.
+  const res =
+    httpMethod === "GET"
+      ? await fetch(`${SLACK_API_BASE}/${method}?${new URLSearchParams(payload)}`, {
+          headers: { Authorization: `Bearer ${slackToken}` },
+        })
+      : await fetch(`${SLACK_API_BASE}/${method}`, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${slackToken}`,
+            "Content-Type": "application/json; charset=utf-8",
+          },
+          body: JSON.stringify(payload),
+        });
+
+  const text = await res.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(`Slack ${method} returned non-JSON (${res.status}): ${text.slice(0, 200)}`);
+  }
+  if (!data.ok) throw new Error(`Slack error: ${data.error}`);
+  return data;
+}
+
+const SLACK_USER_CACHE_HIT_DAYS = 7;
+const SLACK_USER_CACHE_MISS_DAYS = 1;
+
+function readSlackUserCache() {
+  if (!existsSync(SLACK_USER_CACHE_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(SLACK_USER_CACHE_FILE, "utf8"));
+  } catch {
+    log.warn("SLACK", "Ignoring unreadable user cache", { file: SLACK_USER_CACHE_FILE });
+    return {};
+  }
+}
+
+/**
+ * Map roster members' Pylon user IDs to Slack user IDs for @mentions:
+ * config/slack.json user_overrides (by Pylon ID or email) win; otherwise
+ * users.lookupByEmail, cached in HANDOFF_DATA_DIR/slack_users.json (hits for
+ * 7 days, misses for 1).  Dry-run uses overrides and the cache only.
+ * Returns Map<pylonUserId, slackUserId>; unmapped users are left out and
+ * show as plain names.
+ */
+async function resolveSlackUserIds({ slackToken, members, assigneeIdToEmail }) {
+  const slackUserIds = new Map();
+  const cache = readSlackUserCache();
+  let cacheDirty = false;
+  let lookupsEnabled = !DRY_RUN;
+  const now = nowUtc();
+  for (const member of members) {
+    const userId = member.userId;
+    if (!userId || slackUserIds.has(userId)) continue;
+    const email = member.email ?? assigneeIdToEmail[userId] ?? null;
+
+    const override = SLACK_CONFIG.userOverrides.get(userId) ?? (email ? SLACK_CONFIG.userOverrides.get(email) : null);
+    if (override) {
+      slackUserIds.set(userId, override);
+      continue;
+    }
+    if (!email) continue;
+
+    const cached = cache[email];
+    const ttlDays = cached?.slackId ? SLACK_USER_CACHE_HIT_DAYS : SLACK_USER_CACHE_MISS_DAYS;
+    if (cached && now.diff(DateTime.fromISO(cached.checkedAt), "days").days < ttlDays) {
+      if (cached.slackId) slackUserIds.set(userId, cached.slackId);
+      continue;
+    }
+    if (!lookupsEnabled) {
+      if (cached?.slackId) slackUserIds.set(userId, cached.slackId); // stale beats nothing
+      continue;
+    }
+
+    try {
+      const data = await slackApi({ slackToken, method: "users.lookupByEmail", payload: { email }, httpMethod: "GET" });
+      cache[email] = { slackId: data.user.id, checkedAt: now.toISO() };
+      slackUserIds.set(userId, data.user.id);
+    } catch (err) {
+      if (String(err?.message).includes("users_not_found")) {
+        cache[email] = { slackId: null, checkedAt: now.toISO() };
+      } else {
+        // missing_scope, ratelimited, outage: keep going with names and whatever is cached.
+        log.warn("SLACK", "users.lookupByEmail failed; remaining users fall back to cache/names.", errorFields(err));
+        lookupsEnabled = false;
+        if (cached?.slackId) slackUserIds.set(userId, cached.slackId);
+        continue;
+      }
+    }
+    cacheDirty = true;
+  }
+
+  if (cacheDirty) {
+    mkdirSync(HANDOFF_DATA_DIR, { recursive: true });
+    writeFileSync(SLACK_USER_CACHE_FILE, `${JSON.stringify(cache, null, 2)}\n`, "utf8");
+  }
+  log.info("SLACK", "Mapped roster members to Slack users for mentions", { members: slackUserIds.size });
+  return slackUserIds;
+}
+
+/**
+ * Post to SLACK_CHANNEL (or a thread in it when threadTs is set); channel may
+ * also be a Slack user ID, which posts a DM from the bot.
+ * Returns Slack's response ({ channel, ts, ... }), or null in dry-run.
+ */
+async function postToSlack({ slackToken, text, blocks = null, threadTs = null, channel = SLACK_CHANNEL }) {
+  // Last line of defence: nothing reaches Slack in dry-run, whatever the caller.
+  if (DRY_RUN) {
+    log.info("DRY-RUN", "Skipping Slack post", { channel, chars: text.length });
+    return null;
+  }
+
+  return slackApi({
+    slackToken,
+    method: "chat.postMessage",
+    payload: {
+      channel,
       text,
+      ...(blocks ? { blocks } : {}),
+      ...(threadTs ? { thread_ts: threadTs } : {}),
       unfurl_links: false,
       unfurl_media: false,
-    }),
+    },
+  });
+}
+
+/**
+ * Post the handoff snapshot.
+ *
+ * Inline mode: one message with every line item.
+ * Threaded mode: headline counts first, then each section's line items as
+ * replies in that message's thread, then the headline is edited in place to
+ * link each section to its first reply.  Permalink/update failures are
+ * non-fatal — the headline still says the details are in the thread.
+ */
+async function postHandoff({ slackToken, snapshot }) {
+  const render = (options) => ({
+    text: buildSlackHandoffMessage(snapshot, options),
+    blocks: SLACK_MESSAGE_FORMAT === "blocks" ? buildSlackHandoffBlocks(snapshot, options) : null,
   });
 
-  const data = await res.json();
-  if (!data.ok) throw new Error(`Slack error: ${data.error}`);
+  if (!SLACK_THREAD_DETAILS) {
+    await postToSlack({ slackToken, ...render({}) });
+    return { replies: 0 };
+  }
+
+  const headline = await postToSlack({ slackToken, ...render({ threaded: true }) });
+  const channel = headline.channel;
+  const detailLinks = new Map();
+  const replies = buildThreadReplies(snapshot);
+
+  for (const reply of replies) {
+    const posted = await postToSlack({ slackToken, text: reply.text, blocks: reply.blocks ?? null, threadTs: headline.ts });
+    if (detailLinks.has(reply.key)) continue;
+    try {
+      const { permalink } = await slackApi({
+        slackToken,
+        method: "chat.getPermalink",
+        payload: { channel, message_ts: posted.ts },
+        httpMethod: "GET",
+      });
+      detailLinks.set(reply.key, permalink);
+    } catch (err) {
+      log.warn("SLACK", "Could not get permalink for reply", { reply: reply.key, ...errorFields(err) });
+    }
+  }
+
+  if (detailLinks.size > 0) {
+    try {
+      await slackApi({
+        slackToken,
+        method: "chat.update",
+        payload: { channel, ts: headline.ts, ...render({ threaded: true, detailLinks }) },
+      });
+    } catch (err) {
+      log.warn("SLACK", "Could not add thread links to headline", errorFields(err));
+    }
+  }
+
+  return { replies: replies.length };
 }
 
-/** ----------------------------
- *  MAIN
- *  ---------------------------- */
+/**
+ * DM each digest to its member.  A failed or unmapped DM is logged and
+ * skipped — it never fails the channel post.  Returns the number sent.
+ */
+async function sendDmDigests({ slackToken, digests, slackUserIds }) {
+  let sent = 0;
+  for (const { member, text } of digests) {
+    const slackId = slackUserIds.get(member.userId);
+    if (!slackId) {
+      log.warn("DIGEST", `No Slack user for ${member.label}; skipping DM.`);
+      continue;
+    }
+    try {
+      await postToSlack({ slackToken, text, channel: slackId });
+      sent += 1;
+    } catch (err) {
+      log.warn("DIGEST", `DM to ${member.label} failed`, errorFields(err));
+    }
+  }
+  log.info("DIGEST", "Sent DM digests", { sent, digests: digests.length });
+  return sent;
+}
 
-async function main() {
-  const slot = process.argv[2];
-  if (!slot || !SLOT_CONFIG[slot]) throw new Error("Usage: node handoff_snapshot.mjs <apac|emea|us>");
+/**
+ * Dry-run output: the exact Slack text followed by the structured summary.
+ * Written to DRY_RUN_OUT when set, otherwise to stdout.
+ */
+function writeDryRunOutput({ text, blocks, replies = [], digests = [], summary }) {
+  let out = `===== SLACK MESSAGE (${SLACK_CHANNEL}) =====\n${text}\n`;
+  if (blocks) out += `===== BLOCKS =====\n${JSON.stringify(blocks, null, 2)}\n`;
+  replies.forEach((reply, i) => {
+    const buttons = reply.blocks ? ", with buttons" : "";
+    out += `===== THREAD REPLY ${i + 1}/${replies.length} (${reply.key}${buttons}) =====\n${reply.text}\n`;
+  });
+  for (const digest of digests) {
+    out += `===== DM DIGEST ${digest.member.label} (${digest.slackId ?? "no Slack user"}) =====\n${digest.text}\n`;
+  }
+  out += `===== SUMMARY =====\n${JSON.stringify(summary, null, 2)}\n`;
+  if (DRY_RUN_OUT) {
+    writeFileSync(DRY_RUN_OUT, out, "utf8");
+    log.info("DRY-RUN", "Wrote handoff preview", { file: DRY_RUN_OUT });
+  } else {
+    process.stdout.write(out);
+  }
+}
 
-  const pylonToken = requireEnv("PYLON_TOKEN");
-  const slackToken = requireEnv("SLACK_BOT_TOKEN");
+/** ----------------------------
+ *  HANDOFF RUN
+ *  ---------------------------- */
 
+/**
+ * Run every scan for `slot` and render the handoff without posting it.
+ * Pylon reads and the Slack user cache are the only side effects; callers
+ * decide whether to post, append snapshot history and send DM digests.
+ * onRosterWarning(text) is awaited when roster members don't resolve.
+ * needSlackUsers maps roster members to Slack users even if nothing pings.
+ * shiftAt (DateTime) reports the shift that was due then — date, lead and
+ * Pass A window — for runs that start late; SLA clocks always use now.
+ */
+async function buildHandoffRun({
+  slot,
+  pylonToken,
+  slackToken,
+  onRosterWarning = null,
+  needSlackUsers = false,
+  shiftAt = null,
+}) {
   const { headerLabel } = SLOT_CONFIG[slot];
-  const datePt = formatDatePt(ptNow());
+  const pylonStatsBefore = copyPylonStats();
+  const shiftNowPt = shiftAt ? shiftAt.setZone("America/Los_Angeles").set({ millisecond: 0 }) : ptNow();
+  const datePt = formatDatePt(shiftNowPt);
 
-  const { assigneeIdToName, assigneeNameToId } = await fetchAssigneeMaps({ pylonToken });
+  const userMaps = await fetchAssigneeMaps({ pylonToken });
+  const { assigneeIdToName, assigneeIdToEmail } = userMaps;
   if (Object.keys(assigneeIdToName).length === 0) {
     throw new Error(
       "[FATAL] fetchAssigneeMaps returned an empty map. " +
@@ -1783,54 +4170,71 @@ async function main() {
     );
   }
 
-  // Resolve roster display names to IDs once — used by all four scans.
-  // ID-based matching is rename-proof; names in rosters.json are the source of truth.
-  const allRosterNames = [...(REGION_ROSTERS.apac || []), ...(REGION_ROSTERS.emea || []), ...(REGION_ROSTERS.us || [])];
+  // Resolve roster members to Pylon user IDs once — used by all four scans.
+  // "id"/"email" entries are rename-proof; plain names must match Pylon exactly.
+  const unresolvedMembers = resolveRosterMembers(userMaps);
   const allRosterIds = new Set(
-    allRosterNames
-      .map(name => assigneeNameToId[name])
+    Object.keys(SLOT_CONFIG)
+      .flatMap((name) => REGION_ROSTERS[name] || [])
+      .map((member) => member.userId)
       .filter(Boolean)
   );
 
-  // Warn (non-fatal) when roster names fail to resolve — unresolved members are excluded
+  // Warn (non-fatal) when roster members fail to resolve — unresolved members are excluded
   // from all scans, so their issues won't be counted until rosters.json is updated.
-  const unresolvedNames = allRosterNames.filter(name => !assigneeNameToId[name]);
-  if (unresolvedNames.length > 0) {
-    const warning = `[ROSTER] Could not resolve ${unresolvedNames.length} name(s) to Pylon IDs: ${unresolvedNames.join(", ")}. Their issues will NOT be counted. Update rosters.json to match current Pylon display names.`;
-    console.warn(warning);
-    await postToSlack({ slackToken, text: `:warning: ${warning}` });
+  if (unresolvedMembers.length > 0) {
+    const warning = `[ROSTER] Could not resolve ${unresolvedMembers.length} roster member(s) to Pylon IDs: ${unresolvedMembers.join(", ")}. Their issues will NOT be counted. Update rosters.json, preferably with "id" or "email" entries.`;
+    log.warn("ROSTER", "Could not resolve roster members to Pylon IDs; their issues will NOT be counted.", { members: unresolvedMembers });
+    await onRosterWarning?.(warning);
   }
 
+  // Slack users for @mentions (shift lead + assignees in sections that ping) and DM digests.
+  const rosterMembers = [
+    ...Object.keys(SLOT_CONFIG).flatMap((name) => REGION_ROSTERS[name] || []),
+    ...Object.values(REGION_ROSTERS.shift_lead_roster ?? {}).flat(),
+  ];
+  const needsSlackUsers =
+    needSlackUsers || Object.values(SLACK_CONFIG.mentions).some(Boolean) || rosterMembers.some((m) => m.dmDigest);
+  const slackUserIds = needsSlackUsers
+    ? await resolveSlackUserIds({ slackToken, members: rosterMembers, assigneeIdToEmail })
+    : new Map();
+
   // Pass A + audit-log run in parallel — neither depends on the other.
-  // Pass A can early-stop once oldest created_at < shift start.
+  // Pass A only asks for issues created inside the shift window (a few pages at most).
   // Audit log fetches ticket conversion timestamps for enterprise SLA clock correction.
   // Enterprise issues that started as conversations have created_at = conversation start,
   // which over-counts SLA elapsed time.  The audit log records when someone clicked
   // "Make into ticket", which is the correct SLA start time.
+  const scanSeconds = {};
   const [created, conversionTimes] = await Promise.all([
-    scanCreatedDuringShift({ slot, pylonToken, allRosterIds }),
-    fetchTicketConversionTimes({ pylonToken, lookbackDays: 90 }),
+    runScan(scanSeconds, "A", () => scanCreatedDuringShift({ slot, pylonToken, allRosterIds, shiftNowPt })),
+    runScan(scanSeconds, "audit_log", () => fetchTicketConversionTimes({ pylonToken, lookbackDays: 90 })),
   ]);
 
   const newTicketsDuringShiftCount = created.count; // total incl. AI-agent tickets
   const humanAgentCount = created.issues.length;
   const aiAgentCount = created.aiCount;
-  const shiftLead = getShiftLead(slot, ptNow());
-
-  // Assigned breakdown — show all three regions so viewers get the full picture
-  // at handoff time regardless of which shift is reporting.
-  const apacBreakdown = formatAssignedBreakdownForShift("apac", created.issues, assigneeIdToName);
-  const emeaBreakdown = formatAssignedBreakdownForShift("emea", created.issues, assigneeIdToName);
-  const usBreakdown   = formatAssignedBreakdownForShift("us",   created.issues, assigneeIdToName);
-  const allRegionsBreakdown =
-    `[APAC] ${apacBreakdown.pylon}\n[EMEA] ${emeaBreakdown.pylon}\n[AMERICA] ${usBreakdown.pylon}`;
+  const lead = getShiftLead(slot, shiftNowPt);
+  const leadSlackId = SLACK_CONFIG.mentions.shift_lead ? slackUserIds.get(lead.member?.userId) : null;
+  const shiftLead = leadSlackId ? `<@${leadSlackId}>` : lead.label;
+  const shiftDate = shiftDateForSlot(slot, shiftNowPt);
+
+  // Assigned breakdown — show every configured region so viewers get the full
+  // picture at handoff time regardless of which shift is reporting.
+  const assignedByRegion = {};
+  for (const name of Object.keys(SLOT_CONFIG)) {
+    assignedByRegion[name] = formatAssignedBreakdownForShift(name, created.issues, shiftDate).pylon;
+  }
+  const allRegionsBreakdown = Object.entries(SLOT_CONFIG)
+    .map(([name, region]) => `[${region.breakdownLabel}] ${assignedByRegion[name]}`)
+    .join("\n");
 
   // Pass B (state=new SLA metrics), Pass C (state=waiting_on_you), and
   // Pass D (waiting_on_customer + on_hold handoff) are independent — run in parallel.
   const [metrics, waiting, handoff] = await Promise.all([
-    scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes, allRosterIds }),
-    scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds }),
-    scanHandoffIssues({ pylonToken, allRosterIds }),
+    runScan(scanSeconds, "B", () => scanQueueMetrics({ pylonToken, assigneeIdToName, conversionTimes, allRosterIds, slackUserIds })),
+    runScan(scanSeconds, "C", () => scanWaitingOnSupport({ pylonToken, assigneeIdToName, allRosterIds, slackUserIds })),
+    runScan(scanSeconds, "D", () => scanHandoffIssues({ pylonToken, allRosterIds })),
   ]);
 
   // Merge handoff items collected across all three passes.
@@ -1844,11 +4248,14 @@ async function main() {
   ]);
   const handoffIssues = allHandoffItems.size;
   const handoffIssueLines = handoffIssues > 0
-    ? buildHandoffIssueLines(Array.from(allHandoffItems.values()), assigneeIdToName)
+    ? buildHandoffIssueLines(Array.from(allHandoffItems.values()), assigneeIdToName, mentionIdsFor("handoff", slackUserIds))
     : "";
 
   // Collect truncation warnings
   const truncationWarnings = [];
+  if (created.truncated) {
+    truncationWarnings.push("SCAN-A (created during shift) truncated");
+  }
   if (metrics.truncated) {
     truncationWarnings.push("SCAN-B (SLA metrics) truncated");
   }
@@ -1859,7 +4266,57 @@ async function main() {
     truncationWarnings.push("SCAN-D (handoff issues) truncated");
   }
 
-  const slackText = buildSlackHandoffMessage({
+  // Snapshot history: compare against the previous shift, then persist this run.
+  const historyRecord = {
+    runAt: nowUtc().toISO(),
+    slot,
+    region: regionLabelFromSlot(slot),
+    datePt,
+    counts: {
+      newTickets: newTicketsDuringShiftCount,
+      aiAgent: aiAgentCount,
+      humanAgent: humanAgentCount,
+      entFrPending: metrics.entFrPending,
+      frP0P1: metrics.frP0P1,
+      frP2P3: metrics.frP2P3,
+      slaBreached: metrics.slaBreached,
+      waitP0P1: waiting.waitP0P1,
+      waitP2P3: waiting.waitP2P3,
+      handoffIssues,
+    },
+    issueIds: {
+      ...metrics.issueIds,
+      ...waiting.issueIds,
+      handoffIssues: [...allHandoffItems.keys()],
+    },
+    slaBreachedTiers: metrics.slaBreachedTiers, // issueId -> tier, for the trend report
+    truncated: truncationWarnings.length > 0,
+  };
+  const humanIds = new Set(created.issues.map((issue) => issue.id));
+  // Recorded by runSlotSnapshot() only: on-demand runs must not overwrite the
+  // gauges that describe the region's last scheduled handoff.
+  const runMetrics = {
+    slot,
+    bucketIssueIds: {
+      newTickets: [...created.issueTiers.keys()],
+      aiAgent: [...created.issueTiers.keys()].filter((id) => !humanIds.has(id)),
+      humanAgent: [...humanIds],
+      ...historyRecord.issueIds,
+    },
+    issueTiers: new Map([...created.issueTiers, ...metrics.issueTiers, ...waiting.issueTiers, ...handoff.issueTiers]),
+    scans: {
+      A: { seconds: scanSeconds.A, pages: created.pages, truncated: created.truncated },
+      B: { seconds: scanSeconds.B, pages: metrics.pages, truncated: metrics.truncated },
+      C: { seconds: scanSeconds.C, pages: waiting.pages, truncated: waiting.truncated },
+      D: { seconds: scanSeconds.D, pages: handoff.pages, truncated: handoff.truncated },
+      audit_log: { seconds: scanSeconds.audit_log },
+    },
+  };
+
+  const previousSnapshot = findPreviousSnapshot(readSnapshotHistory(), { slot, datePt, before: nowUtc() });
+  const deltas = computeSnapshotDeltas(historyRecord.counts, previousSnapshot);
+
+  const snapshot = {
     slot,
     headerLabel,
     shiftLead,
@@ -1881,19 +4338,27 @@ async function main() {
     waitP2P3Lines: waiting.waitP2P3Lines,
     handoffIssues,
     handoffIssueLines,
+    buttonLines: buildButtonLines({
+      items: { ...metrics.items, waitP0P1: waiting.items.waitP0P1 },
+      assigneeIdToName,
+      slackUserIds,
+    }),
     truncationWarnings,
-  });
-
-  await postToSlack({ slackToken, text: slackText });
-
-  console.log("Posted handoff snapshot:", {
+    deltas,
+  };
+  const renderOptions = { threaded: SLACK_THREAD_DETAILS };
+  const slackText = buildSlackHandoffMessage(snapshot, renderOptions);
+  const slackBlocks = SLACK_MESSAGE_FORMAT === "blocks" ? buildSlackHandoffBlocks(snapshot, renderOptions) : null;
+  const threadReplies = SLACK_THREAD_DETAILS ? buildThreadReplies(snapshot) : [];
+  const items = { ...metrics.items, ...waiting.items, handoff: [...allHandoffItems.values()] };
+  const digests = buildDmDigests({ snapshot, items, assigneeIdToName, shiftDate });
+
+  const summary = {
     slot,
     datePt,
     headerLabel,
     newTicketsDuringShiftCount,
-    assignedApac: apacBreakdown.pylon,
-    assignedEmea: emeaBreakdown.pylon,
-    assignedUs: usBreakdown.pylon,
+    assignedByRegion,
     frP0P1: metrics.frP0P1,
     frP2P3: metrics.frP2P3,
     slaBreached: metrics.slaBreached,
@@ -1902,41 +4367,784 @@ async function main() {
     waitP2P3: waiting.waitP2P3,
     handoffIssues,
     handoffIssueLines: handoffIssueLines || "(empty)",
+    deltas,
     slackMessageLength: slackText.length,
+    slackMessageFormat: SLACK_MESSAGE_FORMAT,
+    slackBlockCount: slackBlocks?.length ?? 0,
+    slackThreadReplies: threadReplies.length,
+    dmDigests: digests.length,
     enforcedTeamId: TEAM_ID_L1_L2,
     openStates: Array.from(OPEN_STATES),
     slackChannel: SLACK_CHANNEL,
     truncated: {
+      scanA: created.truncated,
       scanB: metrics.truncated,
       scanC: waiting.truncated,
       scanD: handoff.truncated,
     },
-  });
+    pylon: pylonStatsSince(pylonStatsBefore),
+  };
+
+  return {
+    snapshot,
+    slackText,
+    slackBlocks,
+    threadReplies,
+    digests,
+    items,
+    assigneeIdToName,
+    slackUserIds,
+    historyRecord,
+    runMetrics,
+    summary,
+    truncationWarnings,
+  };
+}
+
+/**
+ * One region's handoff: scan, append snapshot history, post (or write the
+ * dry-run output) and send DM digests.  Used by the CLI and the daemon.
+ */
+async function runSlotSnapshot(slot, { shiftAt = null } = {}) {
+  const startedAt = performance.now();
+  // Replay never talks to Pylon, so the token is optional there.
+  const pylonToken = PYLON_REPLAY_DIR ? (process.env.PYLON_TOKEN || "replay") : requireEnv("PYLON_TOKEN");
+  const slackToken = DRY_RUN ? null : requireEnv("SLACK_BOT_TOKEN");
+  if (DRY_RUN) log.info("DRY-RUN", "Enabled — no Slack calls will be made.");
+  if (PYLON_RECORD_DIR) initFixtureRecording({ slot });
+  if (PYLON_REPLAY_DIR) log.info("REPLAY", "Serving Pylon from fixtures", { dir: PYLON_REPLAY_DIR, now: nowUtc().toISO() });
+
+  const { snapshot, slackText, slackBlocks, threadReplies, digests, slackUserIds, historyRecord, runMetrics, summary, truncationWarnings } =
+    await buildHandoffRun({
+      slot,
+      pylonToken,
+      slackToken,
+      onRosterWarning: (warning) => postToSlack({ slackToken, text: `:warning: ${warning}` }),
+      shiftAt,
+    });
+
+  if (DRY_RUN) {
+    writeDryRunOutput({
+      text: slackText,
+      blocks: slackBlocks,
+      replies: threadReplies,
+      digests: digests.map((d) => ({ ...d, slackId: slackUserIds.get(d.member.userId) })),
+      summary: { ...summary, dryRun: true },
+    });
+  } else {
+    await postHandoff({ slackToken, snapshot });
+    // Only a handoff that was actually posted becomes the baseline for the next shift's deltas.
+    appendSnapshotHistory(historyRecord);
+    log.info("HANDOFF", "Posted handoff snapshot", summary);
+    if (digests.length > 0) await sendDmDigests({ slackToken, digests, slackUserIds });
+  }
 
   if (truncationWarnings.length > 0) {
-    console.warn("⚠️ Some scans hit MAX_PAGES limit:", truncationWarnings);
+    log.warn("HANDOFF", "Some scans hit MAX_PAGES limit", { truncationWarnings });
   }
+  recordRunMetrics(runMetrics);
+  setGauge("handoff_run_duration_seconds", { region: slot }, (performance.now() - startedAt) / 1000);
+  setGauge("handoff_last_success_timestamp_seconds", { region: slot }, Math.floor(Date.now() / 1000));
+  return summary;
 }
 
-main().catch(async (err) => {
-  console.error(err);
+async function postCrashNotification(slot, err) {
   const slackToken = process.env.SLACK_BOT_TOKEN;
-  const channel = process.env.SLACK_CHANNEL || "#support-automation-test";
-  const slot = process.argv[2] ?? "unknown";
-  if (slackToken) {
+  if (!slackToken || DRY_RUN) return;
+  try {
+    await postToSlack({
+      slackToken,
+      text: `:x: *Handoff bot crashed* (slot: \`${slot}\`)\n\`\`\`${err?.message ?? String(err)}\`\`\``,
+    });
+  } catch (slackErr) {
+    log.error("SLACK", "Failed to post crash notification", errorFields(slackErr));
+  }
+}
+
+/** ----------------------------
+ *  BUTTON ACTIONS (Take it / Ack)
+ *  ---------------------------- */
+
+const USER_MAPS_TTL_MS = 60 * 60 * 1000;
+let serverUserMaps = null;        // { maps, fetchedAt } — Pylon users for Slack -> Pylon mapping
+const messageUpdates = new Map(); // "<channel>:<ts>" -> tail of that message's chat.update chain
+
+async function cachedUserMaps(pylonToken) {
+  if (!serverUserMaps || Date.now() - serverUserMaps.fetchedAt > USER_MAPS_TTL_MS) {
+    const maps = await fetchAssigneeMaps({ pylonToken });
+    // An empty result means /users failed — don't keep it for an hour.
+    if (Object.keys(maps.assigneeIdToName).length === 0) return maps;
+    serverUserMaps = { maps, fetchedAt: Date.now() };
+  }
+  return serverUserMaps.maps;
+}
+
+/**
+ * Pylon user ID for a Slack user: config/slack.json user_overrides first, then
+ * the users.lookupByEmail cache, then users.info (needs users:read.email).
+ * Returns null when no Pylon user matches.
+ */
+async function pylonUserForSlackUser({ slackUserId, pylonToken, slackToken }) {
+  const { assigneeIdToName, assigneeEmailToId } = await cachedUserMaps(pylonToken);
+  const pylonIdFor = (ref) => (Object.hasOwn(assigneeIdToName, ref) ? ref : assigneeEmailToId[ref.toLowerCase()] ?? null);
+
+  for (const [ref, slackId] of SLACK_CONFIG.userOverrides) {
+    if (slackId === slackUserId && pylonIdFor(ref)) return pylonIdFor(ref);
+  }
+  for (const [email, cached] of Object.entries(readSlackUserCache())) {
+    if (cached?.slackId === slackUserId && assigneeEmailToId[email]) return assigneeEmailToId[email];
+  }
+  if (!slackToken) return null;
+  const data = await slackApi({ slackToken, method: "users.info", payload: { user: slackUserId }, httpMethod: "GET" });
+  const email = data.user?.profile?.email?.toLowerCase();
+  return email ? assigneeEmailToId[email] ?? null : null;
+}
+
+async function assignPylonIssue({ pylonToken, issueId, assigneeId }) {
+  const { status, ok, text } = await pylonRequest(`/issues/${encodeURIComponent(issueId)}`, {
+    token: pylonToken,
+    method: "PATCH",
+    body: { assignee_id: assigneeId },
+  });
+  if (!ok) throw new Error(`Pylon PATCH /issues/${issueId} returned ${status}: ${text.slice(0, 200)}`);
+}
+
+function appendHandoffAction(record) {
+  mkdirSync(HANDOFF_DATA_DIR, { recursive: true });
+  appendFileSync(HANDOFF_ACTIONS_FILE, `${JSON.stringify(record)}\n`, "utf8");
+}
+
+function readHandoffActions({ channel, messageTs }) {
+  if (!existsSync(HANDOFF_ACTIONS_FILE)) return [];
+  const actions = [];
+  for (const line of readFileSync(HANDOFF_ACTIONS_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
     try {
-      await fetch("https://slack.com/api/chat.postMessage", {
-        method: "POST",
-        headers: { Authorization: `Bearer ${slackToken}`, "Content-Type": "application/json" },
-        body: JSON.stringify({
-          channel,
-          text: `:x: *Handoff bot crashed* (slot: \`${slot}\`)\n\`\`\`${err?.message ?? String(err)}\`\`\``,
-          unfurl_links: false,
-        }),
-      });
-    } catch (slackErr) {
-      console.error("[SLACK] Failed to post crash notification:", slackErr?.message);
+      const record = JSON.parse(line);
+      if (record.channel === channel && record.messageTs === messageTs) actions.push(record);
+    } catch {
+      // skip a torn line
+    }
+  }
+  return actions;
+}
+
+// "✋ Taken by @a · 👀 Acked by @b, @c" for one issue, or null before any click.
+function issueActionStatus(actions, issueId) {
+  const mine = actions.filter((a) => a.issueId === issueId);
+  const taken = mine.filter((a) => a.action === "take").at(-1);
+  const ackedBy = [...new Set(mine.filter((a) => a.action === "ack").map((a) => a.slackUserId))];
+  const parts = [];
+  if (taken) parts.push(`✋ Taken by <@${taken.slackUserId}>`);
+  if (ackedBy.length > 0) parts.push(`👀 Acked by ${ackedBy.map((id) => `<@${id}>`).join(", ")}`);
+  return parts.length > 0 ? parts.join(" · ") : null;
+}
+
+/**
+ * Rebuild every issue's status context from the action log rather than
+ * patching the clicked one, so an update built from a stale copy of the
+ * message still shows everyone's clicks.
+ */
+function applyActionStatuses(blocks, actions) {
+  const updated = [];
+  for (const block of blocks) {
+    if (block.block_id?.startsWith("status:")) continue;
+    updated.push(block);
+    if (!block.block_id?.startsWith("actions:")) continue;
+    const issueId = block.block_id.slice("actions:".length);
+    const status = issueActionStatus(actions, issueId);
+    if (status) updated.push({ type: "context", block_id: `status:${issueId}`, elements: [{ type: "mrkdwn", text: status }] });
+  }
+  return updated;
+}
+
+async function updateButtonMessage({ slackToken, channel, messageTs, message }) {
+  const blocks = applyActionStatuses(message?.blocks ?? [], readHandoffActions({ channel, messageTs }));
+  if (DRY_RUN) {
+    log.info("DRY-RUN", "Skipping chat.update", { channel, messageTs, blocks: blocks.length });
+    return;
+  }
+  await slackApi({ slackToken, method: "chat.update", payload: { channel, ts: messageTs, text: message?.text ?? "", blocks } });
+}
+
+/**
+ * One Take it / Ack click, after the HTTP request was acknowledged.  Take it
+ * reassigns the issue in Pylon to the clicking user; both are appended to
+ * HANDOFF_DATA_DIR/handoff_actions.jsonl and shown under the issue line.
+ * Failures are reported to the clicker only.
+ */
+async function handleButtonAction(payload, { pylonToken, slackToken }) {
+  const action = payload.actions?.[0];
+  const kind = { handoff_take: "take", handoff_ack: "ack" }[action?.action_id];
+  const issueId = action?.value;
+  const slackUserId = payload.user?.id;
+  const channel = payload.container?.channel_id ?? payload.channel?.id;
+  const messageTs = payload.container?.message_ts ?? payload.message?.ts;
+  if (!kind || !issueId || !slackUserId || !channel || !messageTs) return;
+
+  try {
+    let pylonUserId = null;
+    if (kind === "take") {
+      pylonUserId = await pylonUserForSlackUser({ slackUserId, pylonToken, slackToken });
+      if (!pylonUserId) {
+        throw new Error("your Slack account doesn't match a Pylon user by email — add it to user_overrides in config/slack.json");
+      }
+      if (DRY_RUN) log.info("DRY-RUN", "Skipping Pylon reassignment", { issueId, pylonUserId });
+      else await assignPylonIssue({ pylonToken, issueId, assigneeId: pylonUserId });
+    }
+    appendHandoffAction({ at: nowUtc().toISO(), action: kind, issueId, slackUserId, pylonUserId, channel, messageTs });
+    log.info("BUTTONS", kind === "take" ? "Took issue" : "Acked issue", { slackUserId, issueId });
+  } catch (err) {
+    log.warn("BUTTONS", "Button action failed", { kind, issueId, slackUserId, ...errorFields(err) });
+    await respondViaResponseUrl(payload.response_url, {
+      response_type: "ephemeral",
+      replace_original: false,
+      text: `:x: ${kind === "take" ? "Take it" : "Ack"} failed: ${err?.message || err}`,
+    });
+    return;
+  }
+
+  // One chat.update at a time per message; each re-reads the log, so the last one shows every click.
+  const key = `${channel}:${messageTs}`;
+  const update = (messageUpdates.get(key) ?? Promise.resolve())
+    .then(() => updateButtonMessage({ slackToken, channel, messageTs, message: payload.message }))
+    .catch((err) => log.warn("BUTTONS", "Could not update message", { messageKey: key, ...errorFields(err) }));
+  messageUpdates.set(key, update);
+  await update;
+  if (messageUpdates.get(key) === update) messageUpdates.delete(key);
+}
+
+/** ----------------------------
+ *  SERVE COMMAND (slash command + HTTP server)
+ *  ---------------------------- */
+
+const SERVER_PORT = Number(CLI.flags.port ?? process.env.HANDOFF_PORT ?? 3000);
+const SLACK_SIGNATURE_MAX_AGE_SECONDS = 5 * 60; // Slack's replay window
+const MAX_REQUEST_BODY_BYTES = 64 * 1024;
+
+// Per-user sliding window: at most SLASH_RATE_LIMIT runs per SLASH_RATE_WINDOW_MINUTES.
+const SLASH_RATE_LIMIT = Number(process.env.SLASH_RATE_LIMIT || 3);
+const SLASH_RATE_WINDOW_MINUTES = Number(process.env.SLASH_RATE_WINDOW_MINUTES || 15);
+// Default reply visibility; "/handoff <target> public" always posts in the channel.
+const SLASH_RESPONSE_TYPE = process.env.SLASH_RESPONSE_TYPE === "in_channel" ? "in_channel" : "ephemeral";
+
+const slashRunsByUser = new Map(); // Slack user ID -> start times (ms) of runs inside the window
+const inflightRuns = new Map();    // slot -> Promise of buildHandoffRun, shared by concurrent commands
+
+/**
+ * Slack request signing: "v0=" + HMAC-SHA256(secret, "v0:<timestamp>:<raw body>").
+ * Stale timestamps are rejected so a captured request can't be replayed.
+ */
+function verifySlackSignature({ signingSecret, timestamp, signature, rawBody }) {
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > SLACK_SIGNATURE_MAX_AGE_SECONDS) return false;
+  const expected = Buffer.from(
+    `v0=${createHmac("sha256", signingSecret).update(`v0:${timestamp}:${rawBody}`).digest("hex")}`
+  );
+  const received = Buffer.from(String(signature ?? ""));
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * "/handoff <region|me> [public]" -> { target, responseType }.
+ * Returns null for help, an empty command or an unknown target.
+ */
+function parseSlashCommandText(text) {
+  const words = String(text ?? "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const target = words.find((w) => w !== "public");
+  if (!target || (target !== "me" && !SLOT_CONFIG[target])) return null;
+  return { target, responseType: words.includes("public") ? "in_channel" : SLASH_RESPONSE_TYPE };
+}
+
+function slashCommandUsage(command) {
+  return (
+    `Usage: \`${command || "/handoff"} <${Object.keys(SLOT_CONFIG).join("|")}|me> [public]\`\n` +
+    `• \`<region>\` runs that region's handoff snapshot now\n` +
+    `• \`me\` lists only your own open tickets\n` +
+    `• \`public\` posts the result in this channel instead of only to you`
+  );
+}
+
+/**
+ * Count a run against the user's window.  Returns 0 when allowed, otherwise
+ * the milliseconds until their oldest run leaves the window (not counted).
+ */
+function takeSlashRateLimit(userId, nowMs = Date.now()) {
+  const windowMs = SLASH_RATE_WINDOW_MINUTES * 60_000;
+  const recent = (slashRunsByUser.get(userId) || []).filter((t) => nowMs - t < windowMs);
+  if (recent.length >= SLASH_RATE_LIMIT) {
+    slashRunsByUser.set(userId, recent);
+    return recent[0] + windowMs - nowMs;
+  }
+  recent.push(nowMs);
+  slashRunsByUser.set(userId, recent);
+  return 0;
+}
+
+// The shift that started most recently — what "me" reports against.
+function currentSlot(nowPt) {
+  let best = null;
+  for (const slot of Object.keys(SLOT_CONFIG)) {
+    const { startUtc } = getCreatedWindowForSlot(slot, nowPt);
+    if (startUtc <= nowPt && (!best || startUtc > best.startUtc)) best = { slot, startUtc };
+  }
+  return best?.slot ?? Object.keys(SLOT_CONFIG)[0];
+}
+
+// Concurrent commands for the same region share one scan instead of each hitting Pylon.
+function sharedHandoffRun(slot, { pylonToken, slackToken }) {
+  if (!inflightRuns.has(slot)) {
+    const run = withLogContext({ runId: newRunId(), slot }, () =>
+      buildHandoffRun({ slot, pylonToken, slackToken, needSlackUsers: true })
+    ).finally(() => inflightRuns.delete(slot));
+    inflightRuns.set(slot, run);
+  }
+  return inflightRuns.get(slot);
+}
+
+function personalSlashReply(run, slackUserId) {
+  const member = Object.keys(SLOT_CONFIG)
+    .flatMap((slot) => REGION_ROSTERS[slot] || [])
+    .find((m) => m.userId && run.slackUserIds.get(m.userId) === slackUserId);
+  if (!member) {
+    return {
+      text:
+        "I couldn't match your Slack account to a roster member. Members are matched by email, " +
+        "or add yourself to `user_overrides` in config/slack.json.",
+    };
+  }
+  const text = buildPersonalDigest({
+    snapshot: run.snapshot,
+    items: run.items,
+    assigneeIdToName: run.assigneeIdToName,
+    userId: member.userId,
+  });
+  return { text: text ?? `Nothing outstanding for ${member.label} :tada:` };
+}
+
+/**
+ * Slash-command and button replies go to the request's response_url (valid
+ * for 30 minutes, no token needed).  Dry-run prints them instead.
+ */
+async function respondViaResponseUrl(responseUrl, payload) {
+  if (DRY_RUN) {
+    log.info("DRY-RUN", "Reply via response_url", { responseType: payload.response_type, text: payload.text });
+    return;
+  }
+  const res = await fetch(responseUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+    body: JSON.stringify(payload),
+  });
+  if (!res.ok) throw new Error(`Slack response_url returned ${res.status}: ${(await res.text()).slice(0, 200)}`);
+}
+
+async function runSlashCommand({ target, responseType, slackUserId, responseUrl, pylonToken, slackToken }) {
+  const slot = target === "me" ? currentSlot(ptNow()) : target;
+  let reply;
+  try {
+    const run = await sharedHandoffRun(slot, { pylonToken, slackToken });
+    if (target === "me") {
+      reply = personalSlashReply(run, slackUserId);
+    } else {
+      // Inline rendering: a response_url reply can't carry thread replies.
+      reply = {
+        text: buildSlackHandoffMessage(run.snapshot),
+        ...(SLACK_MESSAGE_FORMAT === "blocks" ? { blocks: buildSlackHandoffBlocks(run.snapshot) } : {}),
+      };
     }
+  } catch (err) {
+    log.error("SLASH", "Run failed", { target, ...errorFields(err, { stack: true }) });
+    reply = { text: `:x: Handoff run for \`${target}\` failed: ${err?.message ?? String(err)}` };
+    responseType = "ephemeral";
+  }
+  await respondViaResponseUrl(responseUrl, { response_type: responseType, replace_original: false, ...reply });
+  log.info("SLASH", "Replied", { slackUserId, target, responseType });
+}
+
+/**
+ * Handle a verified slash command and return the immediate acknowledgement.
+ * The run itself continues in the background — Slack wants an answer within
+ * 3 seconds and a full scan takes minutes.
+ */
+function handleSlashCommand(params, { pylonToken, slackToken }) {
+  const slackUserId = params.get("user_id");
+  const command = parseSlashCommandText(params.get("text"));
+  if (!command) return { response_type: "ephemeral", text: slashCommandUsage(params.get("command")) };
+
+  const waitMs = takeSlashRateLimit(slackUserId);
+  if (waitMs > 0) {
+    log.warn("SLASH", "Rate limited", { slackUserId, target: command.target });
+    return {
+      response_type: "ephemeral",
+      text:
+        `You've run ${SLASH_RATE_LIMIT} snapshots in the last ${SLASH_RATE_WINDOW_MINUTES} minutes. ` +
+        `Try again in ${Math.ceil(waitMs / 60_000)} min.`,
+    };
+  }
+
+  log.info("SLASH", "Requested", { slackUserId, target: command.target, responseType: command.responseType });
+  runSlashCommand({ ...command, slackUserId, responseUrl: params.get("response_url"), pylonToken, slackToken })
+    .catch((err) => log.error("SLASH", "Could not reply", { slackUserId, ...errorFields(err) }));
+
+  const what = command.target === "me" ? "your open tickets" : `the ${regionLabelFromSlot(command.target)} handoff snapshot`;
+  return { response_type: "ephemeral", text: `:hourglass_flowing_sand: Fetching ${what} — this takes a minute or two.` };
+}
+
+function readRequestBody(req) {
+  return new Promise((done, fail) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_REQUEST_BODY_BYTES) {
+        fail(new Error("request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => done(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", fail);
+  });
+}
+
+function sendJsonResponse(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * HTTP server shared by `serve` and `daemon`:
+ *   GET  /healthz             health() -> { status, body } when given, else a plain ok
+ *   POST /slack/commands      slash command Request URL        (when slack is set)
+ *   POST /slack/interactions  Interactivity Request URL (buttons) (when slack is set)
+ * slack = { signingSecret, pylonToken, slackToken }.  Resolves once listening.
+ */
+async function startHttpServer({ port, slack = null, health = null }) {
+  const slackPaths = slack ? ["/slack/commands", "/slack/interactions"] : [];
+
+  const server = createServer(async (req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+    if (req.method === "GET" && path === "/healthz") {
+      const { status, body } = health ? health() : { status: 200, body: { status: "ok" } };
+      return sendJsonResponse(res, status, body);
+    }
+    if (req.method === "GET" && path === "/metrics") {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      return res.end(renderMetrics());
+    }
+    if (req.method !== "POST" || !slackPaths.includes(path)) return sendJsonResponse(res, 404, { error: "not_found" });
+    const { signingSecret, pylonToken, slackToken } = slack;
+
+    let rawBody;
+    try {
+      rawBody = await readRequestBody(req);
+    } catch {
+      return sendJsonResponse(res, 413, { error: "body_too_large" });
+    }
+    const signed = verifySlackSignature({
+      signingSecret,
+      timestamp: req.headers["x-slack-request-timestamp"],
+      signature: req.headers["x-slack-signature"],
+      rawBody,
+    });
+    if (!signed) {
+      log.warn("SERVER", "Rejected request: bad or stale Slack signature.", { path });
+      return sendJsonResponse(res, 401, { error: "invalid_signature" });
+    }
+
+    const params = new URLSearchParams(rawBody);
+    if (params.get("ssl_check")) return sendJsonResponse(res, 200, {});
+    try {
+      if (path === "/slack/interactions") {
+        // Acknowledge right away; the Pylon write and message update follow.
+        const payload = JSON.parse(params.get("payload") || "{}");
+        if (payload.type === "block_actions") {
+          handleButtonAction(payload, { pylonToken, slackToken })
+            .catch((err) => log.error("BUTTONS", "Unhandled failure", errorFields(err, { stack: true })));
+        }
+        res.writeHead(200);
+        return res.end();
+      }
+      sendJsonResponse(res, 200, handleSlashCommand(params, { pylonToken, slackToken }));
+    } catch (err) {
+      log.error("SERVER", "Request failed", { path, ...errorFields(err, { stack: true }) });
+      sendJsonResponse(res, 200, { response_type: "ephemeral", text: `:x: ${err?.message ?? String(err)}` });
+    }
+  });
+
+  await new Promise((done, fail) => {
+    server.once("error", fail);
+    server.listen(port, done);
+  });
+  log.info("SERVER", "Listening", { port, routes: [health && "GET /healthz", "GET /metrics", ...slackPaths.map((p) => `POST ${p}`)].filter(Boolean) });
+  return server;
+}
+
+function validateServerEnv() {
+  if (!Number.isInteger(SERVER_PORT) || SERVER_PORT <= 0) throw new Error("--port / HANDOFF_PORT must be a positive integer");
+  if (!(SLASH_RATE_LIMIT > 0) || !(SLASH_RATE_WINDOW_MINUTES > 0)) {
+    throw new Error("SLASH_RATE_LIMIT and SLASH_RATE_WINDOW_MINUTES must be positive numbers");
+  }
+}
+
+/**
+ * `serve` command: the Slack app endpoints (slash command + buttons) without
+ * the scheduler.  Runs until stopped.
+ */
+async function runServeCommand() {
+  const signingSecret = requireEnv("SLACK_SIGNING_SECRET");
+  const pylonToken = requireEnv("PYLON_TOKEN");
+  const slackToken = DRY_RUN ? null : requireEnv("SLACK_BOT_TOKEN");
+  if (PYLON_RECORD_DIR || PYLON_REPLAY_DIR) throw new Error("serve does not support --record / --replay");
+  validateServerEnv();
+
+  if (DRY_RUN) log.info("DRY-RUN", "Enabled — replies are printed; no Slack calls or Pylon writes will be made.");
+  await startHttpServer({ port: SERVER_PORT, slack: { signingSecret, pylonToken, slackToken } });
+}
+
+/** ----------------------------
+ *  DAEMON COMMAND
+ *  ---------------------------- */
+
+// Catch up a run missed while the daemon was down (or asleep) when it was due
+// at most this long ago; 0 never catches up.
+const DAEMON_CATCH_UP_HOURS = Number(process.env.DAEMON_CATCH_UP_HOURS ?? 6);
+const DAEMON_TICK_MS = 30 * 1000;
+
+// A region's snapshot is due at the end of its shift, in the region's timezone.
+function nextScheduledRun(slot, afterUtc) {
+  const region = SLOT_CONFIG[slot];
+  const local = afterUtc.setZone(region.timezone);
+  const today = local.startOf("day").set(region.end);
+  return (today > local ? today : local.plus({ days: 1 }).startOf("day").set(region.end)).toUTC();
+}
+
+function previousScheduledRun(slot, atUtc) {
+  const region = SLOT_CONFIG[slot];
+  const local = atUtc.setZone(region.timezone);
+  const today = local.startOf("day").set(region.end);
+  return (today <= local ? today : local.minus({ days: 1 }).startOf("day").set(region.end)).toUTC();
+}
+
+function readDaemonState() {
+  if (!existsSync(DAEMON_STATE_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(DAEMON_STATE_FILE, "utf8"));
+  } catch {
+    log.warn("DAEMON", "Ignoring unreadable state file", { file: DAEMON_STATE_FILE });
+    return {};
+  }
+}
+
+function writeDaemonState(state) {
+  mkdirSync(HANDOFF_DATA_DIR, { recursive: true });
+  writeFileSync(DAEMON_STATE_FILE, `${JSON.stringify(state, null, 2)}\n`, "utf8");
+}
+
+/**
+ * Run one scheduled snapshot unless that slot is still running (a slow run
+ * plus a catch-up can collide).  Runs that are too late are skipped rather
+ * than posting a stale handoff.  Failures are recorded and announced like
+ * CLI crashes; the daemon keeps going.
+ */
+async function runScheduledSlot(daemon, slot, dueAt) {
+  // A tick fires at most one tick late; later than that the process was
+  // suspended, which is a missed run like any other.
+  const lateMs = nowUtc().diff(dueAt).as("milliseconds");
+  if (lateMs > 2 * DAEMON_TICK_MS && lateMs > DAEMON_CATCH_UP_HOURS * 3_600_000) {
+    log.warn("DAEMON", "Run too late; skipped", {
+      slot,
+      dueAt: dueAt.toISO(),
+      lateHours: Number((lateMs / 3_600_000).toFixed(1)),
+      catchUpHours: DAEMON_CATCH_UP_HOURS,
+    });
+    return;
+  }
+  const slotState = (daemon.state[slot] ??= {});
+  if (daemon.running.has(slot)) {
+    log.warn("DAEMON", "Run skipped — the previous run of this slot is still in progress.", { slot, dueAt: dueAt.toISO() });
+    slotState.skippedOverlaps = (slotState.skippedOverlaps ?? 0) + 1;
+    slotState.lastSkippedAt = dueAt.toISO();
+    writeDaemonState(daemon.state);
+    return;
+  }
+
+  const startedAt = nowUtc();
+  const runId = newRunId();
+  log.info("DAEMON", "Running", { slot, runId, dueAt: dueAt.toISO() });
+  const run = withLogContext({ runId, slot }, () => runSlotSnapshot(slot, { shiftAt: dueAt }))
+    .then(() => ({ outcome: "ok", error: null }))
+    .catch(async (err) => {
+      log.error("DAEMON", "Run failed", { slot, runId, ...errorFields(err, { stack: true }) });
+      await postCrashNotification(slot, err);
+      return { outcome: "failed", error: err?.message ?? String(err) };
+    });
+  daemon.running.set(slot, run);
+  const { outcome, error } = await run;
+  daemon.running.delete(slot);
+
+  Object.assign(slotState, {
+    lastScheduledAt: dueAt.toISO(),
+    lastRunAt: startedAt.toISO(),
+    finishedAt: nowUtc().toISO(),
+    durationMs: Math.round(nowUtc().diff(startedAt).as("milliseconds")),
+    outcome,
+    error,
+  });
+  writeDaemonState(daemon.state);
+  log.info("DAEMON", "Run finished", { slot, runId, outcome, durationMs: slotState.durationMs, nextRunAt: daemon.next[slot].toISO() });
+}
+
+function daemonTick(daemon) {
+  const now = nowUtc();
+  for (const slot of Object.keys(SLOT_CONFIG)) {
+    const dueAt = daemon.next[slot];
+    if (dueAt > now) continue;
+    daemon.next[slot] = nextScheduledRun(slot, now);
+    // Not awaited; the run's own failures are handled inside, but a state-file
+    // write error must not become an unhandled rejection and kill the daemon.
+    runScheduledSlot(daemon, slot, dueAt).catch((err) =>
+      log.error("DAEMON", "Scheduled run bookkeeping failed", { slot, ...errorFields(err, { stack: true }) })
+    );
+  }
+}
+
+/**
+ * GET /healthz: per slot, the next due time and the last run's time, outcome
+ * and duration.  503 while any slot's last run failed, so a plain HTTP check
+ * can alert on it.
+ */
+function daemonHealth(daemon) {
+  const slots = {};
+  for (const slot of Object.keys(SLOT_CONFIG)) {
+    const slotState = daemon.state[slot] ?? {};
+    slots[slot] = {
+      running: daemon.running.has(slot),
+      nextRunAt: daemon.next[slot].toISO(),
+      lastScheduledAt: slotState.lastScheduledAt ?? null,
+      lastRunAt: slotState.lastRunAt ?? null,
+      finishedAt: slotState.finishedAt ?? null,
+      outcome: slotState.outcome ?? null,
+      error: slotState.error ?? null,
+      durationMs: slotState.durationMs ?? null,
+      skippedOverlaps: slotState.skippedOverlaps ?? 0,
+    };
+  }
+  const failing = Object.values(slots).some((slotHealth) => slotHealth.outcome === "failed");
+  return {
+    status: failing ? 503 : 200,
+    body: { status: failing ? "failing" : "ok", startedAt: daemon.startedAt.toISO(), slots },
+  };
+}
+
+/**
+ * `daemon` command: run every configured region at the end of its shift
+ * (config/regions.json time and timezone) in one long-lived process, in place
+ * of the per-region systemd timers.  Serves GET /healthz, plus the Slack app
+ * endpoints when SLACK_SIGNING_SECRET is set.  Last runs are kept in
+ * HANDOFF_DATA_DIR/daemon_state.json, which drives catch-up after a restart;
+ * a slot with no recorded run waits for its next due time.
+ */
+async function runDaemonCommand() {
+  if (PYLON_RECORD_DIR || PYLON_REPLAY_DIR || pinnedNowIso) {
+    throw new Error("daemon runs on the real clock and does not support --record / --replay / --now");
+  }
+  if (!Number.isFinite(DAEMON_CATCH_UP_HOURS) || DAEMON_CATCH_UP_HOURS < 0) {
+    throw new Error("DAEMON_CATCH_UP_HOURS must be a number >= 0");
+  }
+  validateServerEnv();
+  const pylonToken = requireEnv("PYLON_TOKEN");
+  const slackToken = DRY_RUN ? null : requireEnv("SLACK_BOT_TOKEN");
+  const signingSecret = process.env.SLACK_SIGNING_SECRET || null;
+  if (DRY_RUN) log.info("DRY-RUN", "Enabled — scheduled runs write dry-run output; no Slack calls will be made.");
+
+  const now = nowUtc();
+  const daemon = { startedAt: now, state: readDaemonState(), next: {}, running: new Map() };
+  const server = await startHttpServer({
+    port: SERVER_PORT,
+    slack: signingSecret ? { signingSecret, pylonToken, slackToken } : null,
+    health: () => daemonHealth(daemon),
+  });
+
+  for (const slot of Object.keys(SLOT_CONFIG)) {
+    daemon.next[slot] = nextScheduledRun(slot, now);
+    log.info("DAEMON", "Scheduled", { slot, nextRunAt: daemon.next[slot].setZone(SLOT_CONFIG[slot].timezone).toISO() });
+
+    const lastDue = previousScheduledRun(slot, now);
+    const lastDone = daemon.state[slot]?.lastScheduledAt;
+    if (!lastDone || DateTime.fromISO(lastDone) >= lastDue) continue;
+    if (DAEMON_CATCH_UP_HOURS > 0 && now.diff(lastDue, "hours").hours <= DAEMON_CATCH_UP_HOURS) {
+      log.info("DAEMON", "Catching up a missed run", { slot, dueAt: lastDue.toISO() });
+      runScheduledSlot(daemon, slot, lastDue).catch((err) =>
+        log.error("DAEMON", "Scheduled run bookkeeping failed", { slot, ...errorFields(err, { stack: true }) })
+      );
+    } else {
+      log.warn("DAEMON", "Missed a run; not catching up", { slot, dueAt: lastDue.toISO(), catchUpHours: DAEMON_CATCH_UP_HOURS });
+    }
+  }
+
+  const timer = setInterval(() => daemonTick(daemon), DAEMON_TICK_MS);
+  const shutdown = async (signal) => {
+    log.info("DAEMON", "Shutting down: no new runs; waiting for those in progress.", { signal, running: daemon.running.size });
+    clearInterval(timer);
+    server.close();
+    await Promise.allSettled(daemon.running.values());
+    process.exit(0);
+  };
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+  process.once("SIGINT", () => shutdown("SIGINT"));
+}
+
+/** ----------------------------
+ *  MAIN
+ *  ---------------------------- */
+
+/**
+ * Validate env and load every config file.  Runs inside main() rather than at
+ * import, so a bad value is reported by the crash handler (log + Slack crash
+ * notice) instead of as a raw stack trace.  Order matters: rosters need the
+ * regions.
+ */
+function loadConfig() {
+  if (ENV_ERRORS.length > 0) throw new Error(`[CONFIG] Invalid environment:\n  - ${ENV_ERRORS.join("\n  - ")}`);
+  SLA_CONFIG = loadSlaConfig();
+  SLA_SECONDS = SLA_CONFIG.seconds;
+  SLA_COVERAGE = SLA_CONFIG.coverage;
+  UPDATE_SLA_LABELS = {
+    p0p1: updateSlaLabel(["urgent", "high"]),
+    p2p3: updateSlaLabel(["medium", "low"]),
+  };
+  SLOT_CONFIG = loadRegionsConfig();
+  REGION_ROSTERS = loadRosters();
+  HOLIDAYS = loadHolidayCalendars();
+  SLACK_CONFIG = loadSlackConfig();
+}
+
+async function main() {
+  // Pin the replay clock first: loadConfig() checks holiday calendars against the run date.
+  if (PYLON_REPLAY_DIR && !pinnedNowIso) pinnedNowIso = readFixtureMeta(PYLON_REPLAY_DIR).now;
+  loadConfig();
+
+  const command = CLI.positionals[0];
+  if (REPORT_PERIODS[command]) return runTrendReport(command);
+  if (command === "holidays") return runHolidaysCommand();
+  if (command === "shift-leads") return runShiftLeadsCommand();
+  if (command === "serve") return runServeCommand();
+  if (command === "daemon") return runDaemonCommand();
+
+  const slot = command;
+  if (!slot || !SLOT_CONFIG[slot]) {
+    const slots = Object.keys(SLOT_CONFIG).join("|");
+    throw new Error(`Usage: node handoff_snapshot.mjs <${slots}|weekly|monthly|holidays|shift-leads|serve|daemon> [--dry-run] [--out=<file>]`);
   }
+  await withLogContext({ runId: newRunId(), slot }, () => runSlotSnapshot(slot));
+  writeMetricsTextfile(slot);
+}
+
+main().catch(async (err) => {
+  log.error("MAIN", "Failed", errorFields(err, { stack: true }));
+  await postCrashNotification(CLI.positionals[0] ?? "unknown", err);
   process.exit(1);
-});
\ No newline at end of file
+});
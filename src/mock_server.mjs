@@ -0,0 +1,422 @@
+/**
+ * mock_server.mjs
+ *
+ * Local stand-in for the Pylon and Slack endpoints used by handoff_snapshot.mjs.
+ * Serves a deterministic synthetic queue so retries, pagination, MAX_PAGES
+ * truncation and Slack failures can be exercised end to end without network.
+ *
+ * Usage:
+ *   node mock_server.mjs
+ *
+ *   # in another shell
+ *   PYLON_API_BASE=http://localhost:4010 \
+ *   SLACK_API_BASE=http://localhost:4010/slack \
+ *   PYLON_TOKEN=x SLACK_BOT_TOKEN=x \
+ *   node handoff_snapshot.mjs emea
+ *
+ * Pylon endpoints:
+ *   POST /issues/search          cursor pagination, { field, operator, value(s) } filters:
+ *                                equals|in, time_is_after|time_is_before for created_at / updated_at,
+ *                                and { operator: and|or, subfilters: [...] } to combine them
+ *   GET  /issues/:id/messages
+ *   PATCH /issues/:id            { assignee_id } reassigns the issue (bumps updated_at)
+ *   POST /audit-logs/search      same filter shape as /issues/search
+ *   GET  /users
+ *   GET  /accounts/:id
+ *
+ * Slack endpoints (base path /slack):
+ *   POST /slack/chat.postMessage   (thread_ts supported)
+ *   POST /slack/chat.update
+ *   GET  /slack/chat.getPermalink
+ *   GET  /slack/users.lookupByEmail  mock users get U + their numeric ID; anyone else users_not_found
+ *   GET  /slack/users.info           mock users' email by the Slack ID above
+ *   POST /slack/response/<id>      stand-in slash-command response_url (recorded as method "response_url")
+ *
+ * Inspection:
+ *   GET  /_mock/slack            every Slack payload received (posts and updates), oldest first
+ *   GET  /_mock/stats            request counts per endpoint and injected faults
+ *
+ * Env:
+ *   MOCK_PORT=4010               listen port
+ *   MOCK_SEED=42                 PRNG seed for the synthetic queue
+ *   MOCK_ISSUE_COUNT=400         number of synthetic issues
+ *   MOCK_NOW=<ISO>               anchor for created_at / message timestamps (default: server start)
+ *   MOCK_MAX_PAGE_SIZE=200       cap on `limit` (set low, e.g. 1, to force MAX_PAGES truncation)
+ *   MOCK_429_EVERY=0             every Nth Pylon request returns 429 (0 = never)
+ *   MOCK_RETRY_AFTER=1           retry-after seconds sent with 429s
+ *   MOCK_5XX_EVERY=0             every Nth Pylon request returns MOCK_5XX_STATUS (0 = never)
+ *   MOCK_5XX_STATUS=503          status used for injected server errors
+ *   MOCK_SLACK_ERROR=            if set, every Slack method answers { ok: false, error: <value> }
+ *   MOCK_SLACK_STATUS=200        HTTP status for Slack responses (e.g. 500 returns an HTML body)
+ *   MOCK_ISSUE_ORDER=newest      issue search result order: newest | oldest (created_at)
+ */
+
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { DateTime } from "luxon";
+
+/** ----------------------------
+ *  CONFIG
+ *  ---------------------------- */
+
+const PORT = Number(process.env.MOCK_PORT || 4010);
+const SEED = Number(process.env.MOCK_SEED || 42);
+const ISSUE_COUNT = Number(process.env.MOCK_ISSUE_COUNT || 400);
+const MAX_PAGE_SIZE = Number(process.env.MOCK_MAX_PAGE_SIZE || 200);
+const EVERY_429 = Number(process.env.MOCK_429_EVERY || 0);
+const RETRY_AFTER = Number(process.env.MOCK_RETRY_AFTER || 1);
+const EVERY_5XX = Number(process.env.MOCK_5XX_EVERY || 0);
+const STATUS_5XX = Number(process.env.MOCK_5XX_STATUS || 503);
+const SLACK_ERROR = process.env.MOCK_SLACK_ERROR || null;
+const SLACK_STATUS = Number(process.env.MOCK_SLACK_STATUS || 200);
+const ISSUE_ORDER = process.env.MOCK_ISSUE_ORDER || "newest";
+if (!["newest", "oldest"].includes(ISSUE_ORDER)) throw new Error(`MOCK_ISSUE_ORDER must be newest|oldest (got "${ISSUE_ORDER}")`);
+const NOW = process.env.MOCK_NOW
+  ? DateTime.fromISO(process.env.MOCK_NOW, { setZone: true }).toUTC()
+  : DateTime.now().toUTC();
+
+// Must match handoff_snapshot.mjs so the bot's local filters see the data.
+const TEAM_ID_L1_L2 = "0363526b-d360-424a-9306-869bf7c2be4f";
+const AI_SUPPORT_AGENT_ID = "22f64934-056c-4353-83cd-9c3cad8cfa3b";
+
+const STATES = ["new", "new", "waiting_on_you", "waiting_on_you", "waiting_on_customer", "on_hold", "closed"];
+const PRIORITIES = ["urgent", "high", "medium", "medium", "low", "low"];
+const TIERS = ["enterprise-elite", "enterprise", "pro-plus", "pro", "lite", "community", "unknown"];
+const HANDOFF_SLUGS = ["america_apac", "apac_emea", "emea_america"];
+
+/** ----------------------------
+ *  SYNTHETIC DATA
+ *  ---------------------------- */
+
+// mulberry32: tiny deterministic PRNG so every run with the same seed serves the same queue
+function makeRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const rng = makeRng(SEED);
+const pick = (arr) => arr[Math.floor(rng() * arr.length)];
+
+// Roster entries (plain names or { id, email, name } objects) -> mock users,
+// so the bot's roster resolution succeeds against the stand-in.
+function loadRosterEntries() {
+  try {
+    const __dirname = dirname(fileURLToPath(import.meta.url));
+    const parsed = JSON.parse(readFileSync(resolve(__dirname, "..", "config", "rosters.json"), "utf8"));
+    const entries = new Map();
+    for (const [key, value] of Object.entries(parsed)) {
+      // dm_digest only references members listed elsewhere.
+      if (!Array.isArray(value) || key === "dm_digest") continue;
+      for (const entry of value) {
+        if (typeof entry === "string") entries.set(`name:${entry}`, { name: entry });
+        else if (entry && (entry.id || entry.email)) entries.set(`key:${entry.id ?? entry.email}`, entry);
+      }
+    }
+    return [...entries.values()];
+  } catch {
+    return [{ name: "Test Agent One" }, { name: "Test Agent Two" }];
+  }
+}
+
+function buildUsers() {
+  const users = loadRosterEntries().map((entry, i) => {
+    const name = entry.name ?? entry.email?.split("@")[0] ?? `Mock User ${i + 1}`;
+    return {
+      id: entry.id ?? `user-${String(i + 1).padStart(4, "0")}`,
+      name,
+      email: entry.email ?? `${name.toLowerCase().replace(/[^a-z]+/g, ".")}@example.com`,
+    };
+  });
+  users.push({ id: AI_SUPPORT_AGENT_ID, name: "AI Support Agent", email: "ai-agent@example.com" });
+  return users;
+}
+
+function buildIssues(users) {
+  const issues = [];
+  const messages = new Map();
+  const auditLogs = [];
+
+  for (let i = 0; i < ISSUE_COUNT; i++) {
+    const createdAt = NOW.minus({ minutes: Math.floor(rng() * 10 * 24 * 60) });
+    const tier = pick(TIERS);
+    const id = `issue-${String(i + 1).padStart(6, "0")}`;
+    const assignee = rng() < 0.9 ? pick(users) : null;
+    const handoff = rng() < 0.08 ? pick(HANDOFF_SLUGS) : null;
+
+    const customFields = {
+      priority: { slug: "priority", value: pick(PRIORITIES) },
+      support_tier: { slug: "support_tier", values: [tier] },
+    };
+    if (handoff) {
+      customFields.hand_off_region = { slug: "hand_off_region", value: handoff };
+      customFields.handoff_call_required = { slug: "handoff_call_required", value: rng() < 0.5 ? "true" : "false" };
+    }
+
+    const issue = {
+      id,
+      number: 10000 + i,
+      title: `Synthetic issue ${i + 1} (${tier})`,
+      state: pick(STATES),
+      created_at: createdAt.toISO(),
+      assignee: assignee ? { id: assignee.id } : null,
+      team: { id: rng() < 0.9 ? TEAM_ID_L1_L2 : "other-team" },
+      account: { id: `acct-${String(Math.floor(rng() * 50) + 1).padStart(3, "0")}` },
+      custom_fields: customFields,
+    };
+    issues.push(issue);
+
+    // Alternating customer / agent thread; the last speaker is random.
+    const thread = [];
+    const count = 1 + Math.floor(rng() * 4);
+    let at = createdAt;
+    for (let m = 0; m < count; m++) {
+      at = at.plus({ minutes: Math.floor(rng() * 36 * 60) });
+      if (at > NOW) break;
+      const fromCustomer = m % 2 === 0;
+      thread.push({
+        id: `${id}-msg-${m + 1}`,
+        is_private: !fromCustomer && rng() < 0.2,
+        timestamp: at.toISO(),
+        author: fromCustomer ? { contact: { id: `contact-${i}` } } : { user: { id: assignee?.id ?? null } },
+      });
+    }
+    messages.set(id, thread);
+    // Last activity: the newest message, or creation for an empty thread.
+    issue.updated_at = thread.length > 0 ? thread[thread.length - 1].timestamp : issue.created_at;
+
+    if ((tier === "enterprise" || tier === "enterprise-elite") && rng() < 0.3) {
+      auditLogs.push({
+        object_id: id,
+        action: "Issue Made Into Ticket",
+        action_happened_at: createdAt.plus({ minutes: Math.floor(rng() * 120) }).toISO(),
+      });
+    }
+  }
+
+  // Pylon returns newest first (MOCK_ISSUE_ORDER=oldest flips it for issue search).
+  issues.sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+  if (ISSUE_ORDER === "oldest") issues.reverse();
+  auditLogs.sort((a, b) => (a.action_happened_at < b.action_happened_at ? 1 : -1));
+  return { issues, messages, auditLogs };
+}
+
+const USERS = buildUsers();
+const { issues: ISSUES, messages: MESSAGES, auditLogs: AUDIT_LOGS } = buildIssues(USERS);
+
+/** ----------------------------
+ *  HELPERS
+ *  ---------------------------- */
+
+const stats = { requests: {}, injected429: 0, injected5xx: 0 };
+const slackPosts = [];
+const SLACK_CHANNEL_ID = "C0MOCKCHAN";
+let slackTsSeq = 0;
+let pylonRequestCount = 0;
+
+function readBody(req) {
+  return new Promise((res, rej) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => res(data));
+    req.on("error", rej);
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function getField(obj, field) {
+  if (field === "state" || field === "action") return obj[field];
+  return obj?.custom_fields?.[field]?.value ?? obj?.[field];
+}
+
+function matchesFilter(obj, filter) {
+  if (!filter) return true;
+  if (filter.operator === "and") return (filter.subfilters ?? []).every((sub) => matchesFilter(obj, sub));
+  if (filter.operator === "or") return (filter.subfilters ?? []).some((sub) => matchesFilter(obj, sub));
+  const actual = getField(obj, filter.field);
+  switch (filter.operator) {
+    case "equals":
+      return actual === filter.value;
+    case "in":
+      return Array.isArray(filter.values) && filter.values.includes(actual);
+    case "time_is_after":
+      return actual != null && Date.parse(actual) > Date.parse(filter.value);
+    case "time_is_before":
+      return actual != null && Date.parse(actual) < Date.parse(filter.value);
+    default:
+      return true;
+  }
+}
+
+function paginate(rows, { limit = 100, cursor = null }) {
+  const pageSize = Math.max(1, Math.min(Number(limit) || 100, MAX_PAGE_SIZE));
+  const offset = cursor ? Number(Buffer.from(cursor, "base64url").toString("utf8")) || 0 : 0;
+  const data = rows.slice(offset, offset + pageSize);
+  const next = offset + pageSize;
+  const hasNext = next < rows.length;
+  return {
+    data,
+    pagination: {
+      has_next_page: hasNext,
+      cursor: hasNext ? Buffer.from(String(next), "utf8").toString("base64url") : null,
+    },
+  };
+}
+
+/**
+ * Fault injection for Pylon routes.  Returns true when a fault response was sent.
+ */
+function injectPylonFault(res) {
+  pylonRequestCount += 1;
+  if (EVERY_429 > 0 && pylonRequestCount % EVERY_429 === 0) {
+    stats.injected429 += 1;
+    sendJson(res, 429, { errors: ["rate limited"] }, { "retry-after": String(RETRY_AFTER) });
+    return true;
+  }
+  if (EVERY_5XX > 0 && pylonRequestCount % EVERY_5XX === 0) {
+    stats.injected5xx += 1;
+    res.writeHead(STATUS_5XX, { "Content-Type": "text/html" });
+    res.end(`<html><body>${STATUS_5XX} mock upstream error</body></html>`);
+    return true;
+  }
+  return false;
+}
+
+/** ----------------------------
+ *  ROUTES
+ *  ---------------------------- */
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname;
+  const routeKey = `${req.method} ${path.replace(/\/(issue|acct)-[^/]+/, "/:id")}`;
+  stats.requests[routeKey] = (stats.requests[routeKey] || 0) + 1;
+
+  if (path === "/_mock/slack") return sendJson(res, 200, slackPosts);
+  if (path === "/_mock/stats") return sendJson(res, 200, stats);
+
+  if (path.startsWith("/slack/")) {
+    const method = path.slice("/slack/".length);
+    if (SLACK_STATUS >= 500) {
+      res.writeHead(SLACK_STATUS, { "Content-Type": "text/html" });
+      return res.end(`<html><body>${SLACK_STATUS} mock Slack error</body></html>`);
+    }
+    if (SLACK_ERROR) return sendJson(res, SLACK_STATUS, { ok: false, error: SLACK_ERROR });
+
+    if (req.method === "GET" && method === "chat.getPermalink") {
+      const channel = url.searchParams.get("channel");
+      const ts = url.searchParams.get("message_ts");
+      return sendJson(res, 200, {
+        ok: true,
+        channel,
+        permalink: `https://mock.slack.com/archives/${channel}/p${String(ts).replace(".", "")}`,
+      });
+    }
+
+    if (req.method === "GET" && method === "users.lookupByEmail") {
+      const email = (url.searchParams.get("email") || "").toLowerCase();
+      const user = USERS.find((u) => u.email.toLowerCase() === email && u.id !== AI_SUPPORT_AGENT_ID);
+      if (!user) return sendJson(res, 200, { ok: false, error: "users_not_found" });
+      const slackId = `U${user.id.replace(/\D/g, "").padStart(8, "0")}`;
+      return sendJson(res, 200, { ok: true, user: { id: slackId, profile: { email: user.email } } });
+    }
+
+    if (req.method === "GET" && method === "users.info") {
+      const slackId = url.searchParams.get("user") || "";
+      const user = USERS.find((u) => `U${u.id.replace(/\D/g, "").padStart(8, "0")}` === slackId);
+      if (!user) return sendJson(res, 200, { ok: false, error: "user_not_found" });
+      return sendJson(res, 200, { ok: true, user: { id: slackId, profile: { email: user.email } } });
+    }
+
+    if (req.method === "POST" && method.startsWith("response/")) {
+      const payload = JSON.parse((await readBody(req)) || "{}");
+      slackPosts.push({ method: "response_url", ...payload });
+      console.log(`[MOCK][SLACK] response_url type=${payload.response_type} chars=${payload.text?.length ?? 0}`);
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      return res.end("ok");
+    }
+
+    if (req.method === "POST" && (method === "chat.postMessage" || method === "chat.update")) {
+      const payload = JSON.parse((await readBody(req)) || "{}");
+      slackPosts.push({ method, ...payload });
+      console.log(
+        `[MOCK][SLACK] ${method} channel=${payload.channel} thread_ts=${payload.thread_ts ?? "-"} chars=${payload.text?.length ?? 0}`
+      );
+      slackTsSeq += 1;
+      const ts = method === "chat.update" ? payload.ts : `${Math.floor(NOW.toSeconds())}.${String(slackTsSeq).padStart(6, "0")}`;
+      return sendJson(res, 200, { ok: true, channel: SLACK_CHANNEL_ID, ts });
+    }
+
+    return sendJson(res, 200, { ok: false, error: "unknown_method" });
+  }
+
+  if (injectPylonFault(res)) return;
+
+  if (req.method === "POST" && path === "/issues/search") {
+    const body = JSON.parse((await readBody(req)) || "{}");
+    const rows = ISSUES.filter((issue) => matchesFilter(issue, body.filter));
+    return sendJson(res, 200, paginate(rows, body));
+  }
+
+  let m = path.match(/^\/issues\/([^/]+)$/);
+  if (req.method === "PATCH" && m) {
+    const issue = ISSUES.find((i) => i.id === m[1]);
+    if (!issue) return sendJson(res, 404, { errors: ["issue not found"] });
+    const body = JSON.parse((await readBody(req)) || "{}");
+    if (body.assignee_id && !USERS.some((u) => u.id === body.assignee_id)) {
+      return sendJson(res, 400, { errors: ["unknown assignee_id"] });
+    }
+    issue.assignee = body.assignee_id ? { id: body.assignee_id } : null;
+    issue.updated_at = DateTime.now().toUTC().toISO();
+    console.log(`[MOCK] PATCH ${issue.id} assignee=${body.assignee_id ?? "-"}`);
+    return sendJson(res, 200, { data: issue });
+  }
+
+  m = path.match(/^\/issues\/([^/]+)\/messages$/);
+  if (req.method === "GET" && m) {
+    const thread = MESSAGES.get(m[1]);
+    if (!thread) return sendJson(res, 404, { errors: ["issue not found"] });
+    return sendJson(res, 200, { data: thread });
+  }
+
+  if (req.method === "POST" && path === "/audit-logs/search") {
+    const body = JSON.parse((await readBody(req)) || "{}");
+    const rows = AUDIT_LOGS.filter((event) => matchesFilter(event, body.filter));
+    return sendJson(res, 200, paginate(rows, body));
+  }
+
+  if (req.method === "GET" && path === "/users") {
+    return sendJson(res, 200, { data: USERS });
+  }
+
+  m = path.match(/^\/accounts\/([^/]+)$/);
+  if (req.method === "GET" && m) {
+    return sendJson(res, 200, { data: { id: m[1], name: `Mock Account ${m[1].replace("acct-", "")}` } });
+  }
+
+  return sendJson(res, 404, { errors: [`no mock route for ${req.method} ${path}`] });
+}
+
+createServer((req, res) => {
+  handle(req, res).catch((err) => {
+    console.error(`[MOCK] handler error: ${err?.message || err}`);
+    sendJson(res, 500, { errors: [String(err?.message || err)] });
+  });
+}).listen(PORT, () => {
+  console.log(
+    `[MOCK] Pylon/Slack stand-in on http://localhost:${PORT} ` +
+    `(issues=${ISSUES.length} users=${USERS.length} now=${NOW.toISO()} maxPageSize=${MAX_PAGE_SIZE} ` +
+    `429every=${EVERY_429} 5xxEvery=${EVERY_5XX})`
+  );
+});